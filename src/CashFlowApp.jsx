@@ -1,12 +1,21 @@
-import { useState, useMemo, useCallback, useRef, useEffect } from "react";
+import { Fragment, useState, useMemo, useCallback, useRef, useEffect } from "react";
 import * as Papa from "papaparse";
 import * as XLSX from "xlsx";
 import {
-  AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell, LineChart, Line,
-  XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend
+  AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell, LineChart, Line, ComposedChart,
+  XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine
 } from "recharts";
 import { useAuth } from "./useAuth.js";
-import { loadUserData, saveBudgets, saveCategoryOverrides, saveDataset, deleteDataset } from "./useFirestore.js";
+import { parseOFX, looksLikeOFX } from "./ofx.js";
+import { parseQIF, looksLikeQIF } from "./qif.js";
+import { parseCamt053, looksLikeCamt053 } from "./camt053.js";
+import { parseMT940, looksLikeMT940 } from "./mt940.js";
+import { readPDFLines } from "./pdfText.js";
+import { NUMBER_FORMATS, parseAmount, detectNumberFormat } from "./amounts.js";
+import { DATE_FORMATS, parseDate, detectDateFormat, monthKey, monthLabel } from "./dates.js";
+import { FORECAST_METHODS, FORECAST_WINDOW, MAX_FORECAST_MONTHS, INTERVAL_Z, SCENARIO_ADJUSTMENTS, SCENARIO_COLORS, addMonths, forecastMonthly, applyScenario } from "./forecast.js";
+import { TRANSFER_WINDOW_DAYS, looksLikeTransfer, linkTransfers } from "./transfers.js";
+import { loadUserData, saveBudgetVersions, saveBudgetTemplates, saveCategoryOverrides, saveCategoryRules, saveCategories, saveMappingProfiles, saveCurrencySettings, DEFAULT_CURRENCY_SETTINGS, saveScheduledItems, saveCalendarSettings, DEFAULT_CALENDAR_SETTINGS, saveForecastSettings, DEFAULT_FORECAST_SETTINGS, saveScenarios, saveEnvelopeSettings, DEFAULT_ENVELOPE_SETTINGS, saveDataset, appendToDataset, updateDatasetsTransactions, saveDatasetBalance, deleteDataset } from "./useFirestore.js";
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 
@@ -23,7 +32,7 @@ const CATEGORY_RULES = {
   "Subscriptions": ["subscription", "membership", "annual fee", "monthly fee", "patreon"],
   "Travel": ["airline", "hotel", "airbnb", "booking", "flight", "travel", "vacation", "resort"],
   "Education": ["tuition", "school", "university", "course", "udemy", "textbook", "student"],
-  "Income": ["payroll", "salary", "direct deposit", "deposit", "payment received", "refund", "interest earned", "dividend", "transfer in", "income", "paycheck"],
+  "Income": ["payroll", "salary", "direct deposit", "deposit", "payment received", "interest earned", "dividend", "transfer in", "income", "paycheck"],
 };
 
 const CATEGORY_COLORS = {
@@ -43,6 +52,14 @@ const CATEGORY_COLORS = {
   "Other": "#6b7280",
 };
 
+// Every user starts with the built-in categories and can then add, rename, recolor,
+// merge and delete them. `keys` names the keyword rules a category answers to, so a
+// renamed built-in keeps matching and a merged one hands its keywords to the survivor.
+const DEFAULT_CATEGORIES = Object.entries(CATEGORY_COLORS).map(([name, color]) => ({ name, color, keys: [name] }));
+
+// Colors offered to new categories, in turn
+const CATEGORY_PALETTE = ["#f59e0b", "#10b981", "#6366f1", "#ef4444", "#14b8a6", "#8b5cf6", "#ec4899", "#84cc16", "#0ea5e9", "#f97316"];
+
 const ACCENT = "#34d399";
 const ACCENT2 = "#60a5fa";
 const BG = "#0a0f1a";
@@ -68,43 +85,444 @@ const KEYWORD_INDEX = (() => {
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function categorize(description) {
+// Whatever the built-in "Other" is called now; it can't be deleted
+function fallbackCategory(categories) {
+  return (categories.find(c => c.keys.includes("Other")) || { name: "Other" }).name;
+}
+
+function categorize(description, categories = DEFAULT_CATEGORIES) {
   const lower = (description || "").toLowerCase();
   for (const { keyword, category } of KEYWORD_INDEX) {
-    if (lower.includes(keyword)) return category;
+    if (!lower.includes(keyword)) continue;
+    const match = categories.find(c => c.keys.includes(category));
+    if (match) return match.name;
+  }
+  return fallbackCategory(categories);
+}
+
+// Quicken/Money standard category names that our keyword rules don't cover
+const QIF_CATEGORY_ALIASES = {
+  "food": "Groceries", "dining": "Dining Out", "auto": "Transportation", "car": "Transportation",
+  "medical": "Health", "healthcare": "Health", "household": "Shopping", "recreation": "Entertainment",
+  "bills": "Utilities", "cable": "Utilities", "telephone": "Utilities",
+  "salary": "Income", "wages": "Income", "bonus": "Income", "interest inc": "Income", "div income": "Income",
+};
+
+// Map a QIF category ("Auto:Fuel", "Utilities:Gas") onto ours. Known names win at any
+// level, most specific first, before keyword guesses (so "Gas" under Utilities isn't fuel).
+// Returns "" when nothing fits so the payee is categorized instead.
+function mapQIFCategory(qifCategory, categories = DEFAULT_CATEGORIES) {
+  if (!qifCategory) return "";
+  const levels = qifCategory.toLowerCase().split(":").map(l => l.trim()).reverse();
+  for (const level of levels) {
+    const key = QIF_CATEGORY_ALIASES[level];
+    const exact = categories.find(c => c.name.toLowerCase() === level || c.keys.some(k => k.toLowerCase() === level || k === key));
+    if (exact) return exact.name;
+  }
+  const fallback = fallbackCategory(categories);
+  for (const level of levels) {
+    const byKeyword = categorize(level, categories);
+    if (byKeyword !== fallback) return byKeyword;
+  }
+  return "";
+}
+
+// A split transaction counts once per part ({ category, amount }, same currency and
+// sign as the transaction, summing to its amount); anything else is a single part
+function categoryParts(t) {
+  return t.splits && t.splits.length > 0 ? t.splits : [{ category: t.category, amount: t.amount, ...(t.refundOf ? { refundOf: t.refundOf } : {}) }];
+}
+
+// ─── Categorization rules ────────────────────────────────────────────────────
+// User-defined rules run in order before the keyword lookup; the first rule whose
+// conditions all hold sets the category. Unset conditions are ignored, but a rule needs
+// at least one. Amount bounds apply to the absolute amount in the transaction's own
+// currency, so "over 500" means the same for a charge and a deposit; sign narrows it.
+
+const EMPTY_RULE = { match: "contains", pattern: "", minAmount: null, maxAmount: null, sign: "", dataset: "", category: "Other" };
+
+function newRule(fields = {}) {
+  return { ...EMPTY_RULE, id: crypto.randomUUID(), ...fields };
+}
+
+const ruleRegexCache = new Map();
+
+// Compiled once per pattern; an invalid pattern compiles to null and never matches
+function ruleRegex(pattern) {
+  if (!ruleRegexCache.has(pattern)) {
+    let re = null;
+    try { re = new RegExp(pattern, "i"); } catch { /* shown as invalid in the editor */ }
+    ruleRegexCache.set(pattern, re);
   }
-  return "Other";
+  return ruleRegexCache.get(pattern);
+}
+
+function hasConditions(rule) {
+  return Boolean(rule.pattern || rule.sign || rule.dataset || rule.minAmount != null || rule.maxAmount != null);
+}
+
+function ruleMatches(rule, t, dataset) {
+  if (!hasConditions(rule)) return false;
+  if (rule.dataset && rule.dataset !== dataset) return false;
+  if (rule.sign === "income" && t.amount < 0) return false;
+  if (rule.sign === "expense" && t.amount >= 0) return false;
+  const size = Math.abs(t.amount);
+  if (rule.minAmount != null && size < rule.minAmount) return false;
+  if (rule.maxAmount != null && size > rule.maxAmount) return false;
+  if (!rule.pattern) return true;
+  const description = t.description || "";
+  if (rule.match === "regex") return ruleRegex(rule.pattern)?.test(description) || false;
+  return description.toLowerCase().includes(rule.pattern.toLowerCase());
 }
 
-function parseAmount(val) {
-  if (typeof val === "number") return val;
-  if (!val) return 0;
-  const cleaned = String(val).replace(/[$,\s]/g, "").replace(/\((.+)\)/, "-$1");
-  return parseFloat(cleaned) || 0;
+// Returns the category of the first matching rule, or "" when none applies
+function applyRules(rules, t, dataset) {
+  const rule = rules.find(r => ruleMatches(r, t, dataset));
+  return rule ? rule.category : "";
 }
 
-function parseDate(val) {
-  if (!val) return null;
-  const d = new Date(val);
-  return isNaN(d.getTime()) ? null : d;
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+function fmt(n, currency = "USD") {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency, minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(n);
 }
 
-function fmt(n) {
-  return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(n);
+function fmtFull(n, currency = "USD") {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(n);
 }
 
-function fmtFull(n) {
-  return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD" }).format(n);
+// Chart axis labels: $5K, €1.2M
+function fmtAxis(n, currency = "USD") {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency, notation: "compact", maximumFractionDigits: 1 }).format(n);
 }
 
-function monthKey(d) {
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+// ─── Currencies ──────────────────────────────────────────────────────────────
+
+const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "NZD", "CHF", "JPY", "CNY", "HKD", "SGD", "INR", "MXN", "BRL", "ZAR", "SEK", "NOK", "DKK", "PLN", "CZK", "HUF", "TRY"];
+
+const CURRENCY_SYMBOLS = { "$": "USD", "US$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "C$": "CAD", "A$": "AUD", "CHF": "CHF", "kr": "SEK", "zł": "PLN", "₹": "INR" };
+
+// Normalize a currency cell ("eur", "€", "EUR ") to an ISO code, or "" if unrecognizable
+function currencyCode(val) {
+  const s = String(val || "").trim();
+  if (CURRENCY_SYMBOLS[s]) return CURRENCY_SYMBOLS[s];
+  return /^[A-Za-z]{3}$/.test(s) ? s.toUpperCase() : "";
 }
 
-function monthLabel(key) {
-  const [y, m] = key.split("-");
-  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  return `${months[parseInt(m) - 1]} ${y}`;
+// exchangeRates holds the value of one unit of each currency in the base currency.
+// A currency without a rate is counted 1:1 (and reported to the user as missing).
+function toBaseCurrency(amount, currency, { baseCurrency, exchangeRates }) {
+  if (!currency || currency === baseCurrency) return amount;
+  const rate = exchangeRates[currency];
+  return rate ? amount * rate : amount;
+}
+
+// Re-express the rate table against a new base using the new base's own rate
+function rebaseRates({ baseCurrency, exchangeRates }, newBase) {
+  const pivot = exchangeRates[newBase];
+  if (!pivot) return { baseCurrency: newBase, exchangeRates };
+  const rates = {};
+  for (const [code, rate] of Object.entries(exchangeRates)) {
+    if (code !== newBase) rates[code] = rate / pivot;
+  }
+  rates[baseCurrency] = 1 / pivot;
+  return { baseCurrency: newBase, exchangeRates: rates };
+}
+
+// Ids must stay unique when later statements are appended to the same dataset,
+// so they are generated rather than taken from the row position
+function newTransactionId() {
+  return crypto.randomUUID();
+}
+
+function datasetNameFor(fileName) {
+  return fileName.replace(/\.[^/.]+$/, "") || `Upload ${new Date().toLocaleDateString()}`;
+}
+
+// Flatten datasets into one ledger. Each row is tagged with its dataset name as the
+// account, and ids are prefixed so rows from different uploads never collide.
+// Rows without their own currency inherit the dataset's.
+function mergeDatasets(datasets) {
+  return datasets.flatMap(ds => ds.transactions.map(t => ({
+    ...t,
+    id: `${ds.name}:${t.id}`,
+    account: ds.name,
+    ...(t.currency || ds.currency ? { currency: t.currency || ds.currency } : {}),
+  })));
+}
+
+// ─── Refunds ─────────────────────────────────────────────────────────────────
+// A positive amount filed under a spending category is a refund or reimbursement: it
+// reduces that category's spending instead of counting as income. A refund can be linked
+// to the charge it reverses (refundOf holds the charge's id), which files it under the
+// charge's category. Money that only landed in the fallback category (a friend paying
+// you back, say) counts as income unless it's linked to a charge.
+
+const REFUND_WINDOW_DAYS = 120;
+const REFUND_WORDS = new Set(["refund", "return", "returned", "credit", "reversal", "reimbursement"]);
+
+function isRefund(part, incomeCategories, fallback) {
+  if (part.amount <= 0 || incomeCategories.has(part.category)) return false;
+  return part.category !== fallback || !!part.refundOf;
+}
+
+// Charges a refund could reverse: earlier, at least as large, within REFUND_WINDOW_DAYS,
+// sharing a merchant word or the category; best word overlap first, then most recent
+function refundCandidates(refund, transactions, limit = 5) {
+  const words = new Set(normalizeDescription(refund.description).split(" ").filter(w => w && !REFUND_WORDS.has(w)));
+  return transactions
+    .filter(t => t.amount < 0 && !t.transfer && t.date <= refund.date
+      && (refund.date - t.date) / 86400000 <= REFUND_WINDOW_DAYS && -t.amount >= refund.amount - 0.005)
+    .map(t => ({ t, shared: normalizeDescription(t.description).split(" ").filter(w => words.has(w)).length }))
+    .filter(c => c.shared > 0 || c.t.category === refund.category)
+    .sort((a, b) => b.shared - a.shared || b.t.date - a.t.date)
+    .slice(0, limit)
+    .map(c => c.t);
+}
+
+// ─── Recurring payments ──────────────────────────────────────────────────────
+// Charges (or deposits) are grouped by merchant (the description without card numbers,
+// dates and processor noise), and a group is recurring when most gaps between them fit
+// one cadence. Only monthly payments may vary in amount (utilities); the others must
+// keep a steady amount. Price changes are only tracked for steady amounts.
+
+const CADENCES = [
+  { id: "weekly", label: "Weekly", days: 7, tolerance: 2, perYear: 52, minCount: 4 },
+  { id: "biweekly", label: "Every 2 weeks", days: 14, tolerance: 3, perYear: 26, minCount: 4 },
+  { id: "monthly", label: "Monthly", days: 30.4, tolerance: 4, perYear: 12, minCount: 3 },
+  { id: "annual", label: "Annual", days: 365, tolerance: 20, perYear: 1, minCount: 2 },
+];
+
+const MERCHANT_NOISE = new Set(["pos", "debit", "credit", "purchase", "card", "checkcard", "visa", "ach", "recurring", "payment", "pmt", "autopay", "online", "web", "www", "com", "inc", "llc", "ltd", "co", "the", "sq", "tst", "paypal"]);
+
+function merchantKey(description) {
+  return normalizeDescription(description).split(" ")
+    .filter(w => w.length > 1 && !MERCHANT_NOISE.has(w) && !/\d/.test(w))
+    .slice(0, 3)
+    .join(" ");
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Monthly charges keep their day of month, clamped to shorter months
+function addCadence(date, cadence, times = 1) {
+  if (cadence.days < 28) return new Date(date.getFullYear(), date.getMonth(), date.getDate() + cadence.days * times);
+  if (cadence.id === "annual") return new Date(date.getFullYear() + times, date.getMonth(), date.getDate());
+  const first = new Date(date.getFullYear(), date.getMonth() + times, 1);
+  const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(date.getDate(), lastDay));
+}
+
+const samePrice = (a, b) => Math.abs(a - b) <= Math.max(0.01, b * 0.02);
+
+/**
+ * Find recurring charges, or recurring deposits with `income`. Returns [{ key, merchant,
+ * category, account, cadence, count, typical, annualized, last, next, active, stable,
+ * priceChanges: [{ date, from, to }] }], where amounts are positive and a payment is
+ * inactive once two expected dates have passed.
+ */
+function detectRecurring(transactions, { income = false, today = new Date() } = {}) {
+  const sign = income ? 1 : -1;
+  const groups = new Map();
+  for (const t of transactions) {
+    if (t.amount * sign <= 0 || t.transfer) continue;
+    const key = merchantKey(t.description);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+
+  const found = [];
+  for (const [key, txns] of groups) {
+    // Same-day charges from one merchant are one payment split up, not a cadence
+    const byDay = new Map();
+    for (const t of [...txns].sort((a, b) => a.date - b.date)) {
+      const day = t.date.toDateString();
+      const prev = byDay.get(day);
+      byDay.set(day, prev ? { ...prev, amount: prev.amount + t.amount } : t);
+    }
+    const charges = [...byDay.values()];
+    if (charges.length < 2) continue;
+
+    const gaps = charges.slice(1).map((c, i) => (c.date - charges[i].date) / 86400000);
+    const amounts = charges.map(c => c.amount * sign);
+    const mid = median(amounts);
+    const stable = amounts.filter(a => Math.abs(a - mid) <= mid * 0.1).length >= amounts.length * 0.75;
+    const cadence = CADENCES.find(c => charges.length >= c.minCount
+      && gaps.filter(g => Math.abs(g - c.days) <= c.tolerance).length >= gaps.length * 0.75
+      && (stable || c.id === "monthly"));
+    if (!cadence) continue;
+
+    // A new price counts once the following charge (if any) confirms it
+    const priceChanges = [];
+    if (stable) {
+      let price = amounts[0];
+      amounts.forEach((a, i) => {
+        if (samePrice(a, price)) return;
+        const next = amounts[i + 1];
+        if (next !== undefined && !samePrice(next, a)) return;
+        priceChanges.push({ date: charges[i].date, from: price, to: a });
+        price = a;
+      });
+    }
+
+    const last = charges[charges.length - 1];
+    const typical = Math.round(median(amounts.slice(-3)) * 100) / 100;
+    found.push({
+      key,
+      merchant: last.description,
+      category: last.category,
+      account: last.account || "",
+      cadence,
+      count: charges.length,
+      typical,
+      annualized: Math.round(typical * cadence.perYear * 100) / 100,
+      last: last.date,
+      next: addCadence(last.date, cadence),
+      active: addCadence(last.date, cadence, 2) >= today,
+      stable,
+      priceChanges,
+    });
+  }
+  return found.sort((a, b) => (b.active - a.active) || b.annualized - a.annualized);
+}
+
+// ─── Bills calendar ──────────────────────────────────────────────────────────
+// Days are keyed "YYYY-MM-DD" in local time, the same form <input type="date"> uses
+
+function dayKey(d) {
+  return `${monthKey(d)}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function parseDayKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Dates within [from, to] of an item first due on `start`, repeating on `cadence` (if any)
+function occurrences(start, cadence, from, to) {
+  if (!cadence) return start >= from && start <= to ? [start] : [];
+  const dates = [];
+  for (let i = 0; ; i++) {
+    const d = addCadence(start, cadence, i);
+    if (d > to) break;
+    if (d >= from) dates.push(d);
+  }
+  return dates;
+}
+
+// ─── Forecasting ─────────────────────────────────────────────────────────────
+// The projections themselves live in forecast.js; this is how a scenario's
+// adjustments read in the scenario list.
+
+function describeAdjustment(a, currency) {
+  const from = a.month ? `from ${monthLabel(a.month)}` : "from now on";
+  const signed = n => `${n >= 0 ? "+" : ""}${fmtFull(n, currency)}`;
+  if (a.type === "once") return `${signed(a.amount)} in ${monthLabel(a.month)}`;
+  if (a.type === "recurring") return `${signed(a.amount)}/mo spending ${from}`;
+  if (a.type === "income") return `${signed(a.amount)}/mo income ${from}`;
+  return `${a.category} ${a.percent >= 0 ? "+" : ""}${a.percent}% ${from}`;
+}
+
+// ─── Budgets ─────────────────────────────────────────────────────────────────
+// A budget is an amount per week, month or year. It is scaled to whatever span is on
+// screen, and with rollover each month's leftover (or overspend) carries into the next.
+// Budgets are versioned by month so changing one doesn't rewrite how past months did.
+
+const BUDGET_PERIODS = [
+  { id: "weekly", label: "Weekly", perYear: 52 },
+  { id: "monthly", label: "Monthly", perYear: 12 },
+  { id: "annual", label: "Annual", perYear: 1 },
+];
+
+const periodOf = id => BUDGET_PERIODS.find(p => p.id === id) || BUDGET_PERIODS[1];
+
+// The same budget expressed per another period, e.g. when two budgets are merged
+function convertBudget(budget, period) {
+  return budget.amount * periodOf(budget.period).perYear / periodOf(period).perYear;
+}
+
+const daysInSpan = (start, end) => Math.round((end - start) / 86400000) + 1;
+
+// The part of a budget falling in [start, end] (whole days): weekly budgets by the day,
+// monthly and annual ones by the share of each calendar month covered
+function budgetForSpan(budget, start, end) {
+  if (budget.period === "weekly") return budget.amount * daysInSpan(start, end) / 7;
+  let months = 0;
+  for (let first = new Date(start.getFullYear(), start.getMonth(), 1); first <= end; first = new Date(first.getFullYear(), first.getMonth() + 1, 1)) {
+    const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+    months += daysInSpan(start > first ? start : first, end < last ? end : last) / last.getDate();
+  }
+  return budget.amount * months / (budget.period === "annual" ? 12 : 1);
+}
+
+// Leftover budget (negative when overspent) carried into `month` from the budget's
+// rolloverFrom month on; spentByMonth is { [month]: spent } and budgetAt(month) the
+// budget that month had, which may have changed along the way
+function rolloverInto(budget, month, spentByMonth, budgetAt = () => budget) {
+  if (!budget.rollover || !budget.rolloverFrom) return 0;
+  let carry = 0;
+  for (let m = budget.rolloverFrom; m < month; m = addMonths(m, 1)) {
+    const [y, mo] = m.split("-").map(Number);
+    const then = budgetAt(m);
+    carry += (then ? budgetForSpan(then, new Date(y, mo - 1, 1), new Date(y, mo, 0)) : 0) - (spentByMonth[m] || 0);
+  }
+  return carry;
+}
+
+// The budgets in effect in `month`: the latest version starting on or before it
+function budgetsIn(versions, month) {
+  let budgets = {};
+  for (const v of versions) if (v.from <= month) budgets = v.budgets;
+  return budgets;
+}
+
+// Change the budgets from `month` on. The month gets its own version, starting as a
+// copy of what was in effect; later versions keep their own values.
+function editBudgetVersion(versions, month, update) {
+  if (versions.some(v => v.from === month)) {
+    return versions.map(v => v.from === month ? { ...v, budgets: update(v.budgets) } : v);
+  }
+  return [...versions, { from: month, budgets: update(budgetsIn(versions, month)) }]
+    .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Zero-based envelope balances, month by month from `first` to `last`. Each month's
+ * income joins the money left to assign; allocations move it into envelopes, spending
+ * draws them down and what's left in an envelope carries into the next month. An
+ * envelope that ends a month overspent starts the next one empty, and the shortfall
+ * comes out of that month's money to assign instead.
+ * Returns { [month]: { income, toAssign, unallocated, envelopes: { [category]: { carried, allocated, spent, balance } } } }.
+ */
+function envelopeLedger(first, last, envelopes, incomeByMonth, spentByMonth, allocations) {
+  const ledger = {};
+  const carry = {};
+  let pool = 0;
+  let shortfall = 0;
+  for (let m = first; m <= last; m = addMonths(m, 1)) {
+    const assigned = allocations[m] || {};
+    const toAssign = pool + (incomeByMonth[m] || 0) - shortfall;
+    const month = { income: incomeByMonth[m] || 0, toAssign, unallocated: toAssign, envelopes: {} };
+    shortfall = 0;
+    for (const cat of envelopes) {
+      const carried = carry[cat] || 0;
+      const allocated = assigned[cat] || 0;
+      const spent = spentByMonth[cat]?.[m] || 0;
+      const balance = carried + allocated - spent;
+      month.envelopes[cat] = { carried, allocated, spent, balance };
+      month.unallocated -= allocated;
+      carry[cat] = Math.max(0, balance);
+      if (balance < 0) shortfall -= balance;
+    }
+    pool = month.unallocated;
+    ledger[m] = month;
+  }
+  return ledger;
 }
 
 // ─── Header row detection (skip bank preamble rows) ─────────────────────────
@@ -161,24 +579,196 @@ function findHeaderRowInCSV(text) {
   return null;
 }
 
+// For PDF: the text comes back as positioned lines (see pdfText.js). Find the table's
+// header line, then place every later cell under the header column it overlaps.
+// A line starting a new date begins a row; text-only lines below it are a wrapped
+// description; anything else (totals, balances, footers) ends the current row.
+const PDF_DATE_CELL = /^(\d{1,4}[/.-]\d{1,2}([/.-]\d{2,4})?|\d{1,2}[ -][A-Za-z]{3}|[A-Za-z]{3}\.? \d{1,2})\b/;
+const PDF_AMOUNT_CELL = /^[-+(]?[^\d\s]{0,3}\s?\d[\d.,' ]*\)?\s?(CR|DR|-)?$/i;
+
+function findHeaderRowInPDF(lines) {
+  const headerIdx = lines.findIndex(l => l.cells.length >= 3 && looksLikeHeaderRow(l.cells.map(c => c.text)));
+  if (headerIdx < 0) return null;
+
+  const columns = lines[headerIdx].cells;
+  const headers = columns.map(c => c.text);
+  const headerKey = headers.join("|");
+  const guessed = guessMapping(headers);
+  const dateCol = guessed.date || headers[0];
+  const descCol = guessed.description;
+
+  const center = c => (c.x0 + c.x1) / 2;
+  const columnFor = (cell) => {
+    let best = -1;
+    let bestOverlap = 0;
+    columns.forEach((col, j) => {
+      const overlap = Math.min(cell.x1, col.x1) - Math.max(cell.x0, col.x0);
+      if (overlap > bestOverlap) { best = j; bestOverlap = overlap; }
+    });
+    if (best >= 0) return best;
+    return columns.reduce((bi, col, j) => Math.abs(center(col) - center(cell)) < Math.abs(center(columns[bi]) - center(cell)) ? j : bi, 0);
+  };
+
+  const data = [];
+  let last = null;
+  for (const line of lines.slice(headerIdx + 1)) {
+    const texts = line.cells.map(c => c.text);
+    // Statements repeat the table header on every page
+    if (texts.join("|") === headerKey) { last = null; continue; }
+
+    const row = {};
+    line.cells.forEach(cell => {
+      const h = headers[columnFor(cell)];
+      row[h] = row[h] ? `${row[h]} ${cell.text}` : cell.text;
+    });
+
+    if (PDF_DATE_CELL.test(row[dateCol] || "")) {
+      headers.forEach(h => { if (row[h] === undefined) row[h] = ""; });
+      data.push(row);
+      last = row;
+    } else if (last && descCol && !texts.some(t => PDF_AMOUNT_CELL.test(t))) {
+      last[descCol] = `${last[descCol]} ${texts.join(" ")}`.trim();
+    } else {
+      last = null;
+    }
+  }
+  return { headers, data };
+}
+
+// ─── Duplicate detection ─────────────────────────────────────────────────────
+
+function normalizeDescription(desc) {
+  return String(desc || "").toLowerCase().replace(/[^a-z0-9 ]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Banks often pad or reformat the same merchant between exports ("AMAZON.COM*123" vs
+// "Amazon.com"), so treat containment or mostly-shared words as the same description
+function similarDescriptions(a, b) {
+  const na = normalizeDescription(a);
+  const nb = normalizeDescription(b);
+  if (na === nb) return true;
+  if (!na || !nb) return false;
+  if (na.includes(nb) || nb.includes(na)) return true;
+  const wa = new Set(na.split(" "));
+  const wb = new Set(nb.split(" "));
+  const shared = [...wa].filter(w => wb.has(w)).length;
+  return shared / Math.max(wa.size, wb.size) >= 0.6;
+}
+
+// Bank-assigned FITIDs settle the question when both sides have one
+function sameTransaction(a, b) {
+  if (a.fitId && b.fitId) return a.fitId === b.fitId;
+  return similarDescriptions(a.description, b.description);
+}
+
+function duplicateKey(t) {
+  return `${t.date.toDateString()}|${Math.round(t.amount * 100)}`;
+}
+
+// Flag rows that repeat an earlier row of the same upload or a transaction already in a
+// saved dataset. Saved matches default to "skip"; in-file repeats default to "keep"
+// because two identical coffees on one day are usually real.
+function findDuplicates(rows, datasets) {
+  const saved = new Map();
+  datasets.forEach(ds => ds.transactions.forEach(t => {
+    const k = duplicateKey(t);
+    if (!saved.has(k)) saved.set(k, []);
+    saved.get(k).push({ t, dataset: ds.name });
+  }));
+
+  const seen = new Map();
+  const flags = [];
+  rows.forEach((row, i) => {
+    const k = duplicateKey(row);
+    const savedMatch = (saved.get(k) || []).find(e => sameTransaction(e.t, row));
+    if (savedMatch) {
+      flags.push({ index: i, match: savedMatch.t, dataset: savedMatch.dataset, action: "skip" });
+    } else {
+      const earlier = (seen.get(k) || []).find(j => sameTransaction(rows[j], row));
+      if (earlier !== undefined) flags.push({ index: i, match: rows[earlier], matchIndex: earlier, dataset: null, action: "keep" });
+    }
+    if (!seen.has(k)) seen.set(k, []);
+    seen.get(k).push(i);
+  });
+  return flags;
+}
+
+// Merging keeps the existing transaction and takes whichever description carries more detail
+function mergeDuplicate(target, row) {
+  return { ...target, description: row.description.length > target.description.length ? row.description : target.description };
+}
+
 // ─── CSV Column Mapper ───────────────────────────────────────────────────────
 
+// Empty dateFormat / numberFormat mean "auto-detect from the column"
+const EMPTY_MAPPING = { date: "", dateFormat: "", description: "", amount: "", debit: "", credit: "", numberFormat: "", currency: "" };
+
 function guessMapping(headers) {
   const lower = headers.map(h => h.toLowerCase().trim());
-  const mapping = { date: "", description: "", amount: "", debit: "", credit: "" };
+  const mapping = { ...EMPTY_MAPPING };
+
+  // A "Date"/"Posted" column beats a bare "Trans" one, and "Transaction Type" is never the date
+  const notType = h => !h.includes("type");
+  const dateIdx = lower.findIndex(h => (h.includes("date") || h.includes("posted")) && notType(h));
+  const transIdx = lower.findIndex(h => h.includes("trans") && notType(h));
+  if (dateIdx >= 0 || transIdx >= 0) mapping.date = headers[dateIdx >= 0 ? dateIdx : transIdx];
 
   for (let i = 0; i < lower.length; i++) {
     const h = lower[i];
-    if (!mapping.date && (h.includes("date") || h.includes("posted") || h.includes("trans"))) mapping.date = headers[i];
     if (!mapping.description && (h.includes("desc") || h.includes("memo") || h.includes("narr") || h.includes("merchant") || h.includes("payee") || h.includes("name") || h.includes("detail"))) mapping.description = headers[i];
     if (!mapping.amount && (h === "amount" || h.includes("amount"))) mapping.amount = headers[i];
     if (!mapping.debit && (h.includes("debit") || h.includes("withdrawal") || h.includes("out"))) mapping.debit = headers[i];
     if (!mapping.credit && (h.includes("credit") || h.includes("deposit") || h.includes("in"))) mapping.credit = headers[i];
+    if (!mapping.currency && (h === "currency" || h === "ccy" || h === "cur")) mapping.currency = headers[i];
   }
 
   return mapping;
 }
 
+// A bank's export always has the same columns, so its header row identifies it
+function headerSignature(headers) {
+  return headers.map(h => String(h).toLowerCase().trim()).join("|");
+}
+
+// Values of the amount columns a mapping uses, for number-format detection
+function amountSamples(json, mapping) {
+  const cols = [mapping.amount, mapping.debit, mapping.credit].filter(Boolean);
+  return json.flatMap(r => cols.map(c => r[c])).slice(0, 300);
+}
+
+// Turn mapped rows into raw transactions { date, description, amount }. Empty formats
+// are auto-detected. Returns { rows, failed }: rows whose date can't be read are left
+// out, and counted as failed unless their date and amount cells are all blank.
+function rowsFromMapping(json, mapping) {
+  const { date, description, amount, debit, credit } = mapping;
+  const dateFormat = mapping.dateFormat || detectDateFormat(json.map(r => r[date])).format;
+  const numberFormat = mapping.numberFormat || detectNumberFormat(amountSamples(json, mapping)).format;
+  const blank = v => v === undefined || v === null || String(v).trim() === "";
+  let failed = 0;
+  const rows = json.map((row) => {
+    const d = parseDate(row[date], dateFormat);
+    if (!d) {
+      if (![date, amount, debit, credit].every(c => !c || blank(row[c]))) failed++;
+      return null;
+    }
+
+    let amt;
+    if (amount) {
+      amt = parseAmount(row[amount], numberFormat);
+    } else if (debit || credit) {
+      const db = parseAmount(row[debit] || 0, numberFormat);
+      const cr = parseAmount(row[credit] || 0, numberFormat);
+      amt = cr > 0 ? cr : -Math.abs(db);
+    } else {
+      return null;
+    }
+
+    const cur = mapping.currency ? currencyCode(row[mapping.currency]) : "";
+    return { date: d, description: row[description] || "Unknown", amount: amt, ...(cur ? { currency: cur } : {}) };
+  }).filter(Boolean);
+  return { rows, failed };
+}
+
 // ─── Main App ────────────────────────────────────────────────────────────────
 
 export default function CashFlowApp() {
@@ -188,19 +778,59 @@ export default function CashFlowApp() {
   const [view, setView] = useState("upload");
   const [selectedMonth, setSelectedMonth] = useState(null);
   const [dateRange, setDateRange] = useState({ start: "", end: "" });
-  const [budgets, setBudgets] = useState({});
+  const [budgetVersions, setBudgetVersions] = useState([]);
+  const [budgetTemplates, setBudgetTemplates] = useState([]);
+  const [showBudgetHistory, setShowBudgetHistory] = useState(false);
+  const [newTemplateName, setNewTemplateName] = useState("");
+  const [envelopeSettings, setEnvelopeSettings] = useState(DEFAULT_ENVELOPE_SETTINGS);
   const [categoryOverrides, setCategoryOverrides] = useState({});
   const [editingCategory, setEditingCategory] = useState(null);
   const [csvHeaders, setCsvHeaders] = useState([]);
   const [csvData, setCsvData] = useState([]);
-  const [columnMapping, setColumnMapping] = useState({ date: "", description: "", amount: "", debit: "", credit: "" });
+  const [columnMapping, setColumnMapping] = useState(EMPTY_MAPPING);
   const [showMapper, setShowMapper] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [savedDatasets, setSavedDatasets] = useState([]);
-  const [activeDatasetName, setActiveDatasetName] = useState(null);
+  const [activeDatasetNames, setActiveDatasetNames] = useState([]);
+  const [selectedDatasetNames, setSelectedDatasetNames] = useState([]);
+  const [accountFilter, setAccountFilter] = useState("");
   const [dataLoading, setDataLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [uploadFileName, setUploadFileName] = useState("");
+  const [importError, setImportError] = useState("");
+  const [duplicateReview, setDuplicateReview] = useState(null);
+  const [importTarget, setImportTarget] = useState("");
+  const [expandedHistory, setExpandedHistory] = useState(null);
+  const [mappingProfiles, setMappingProfiles] = useState({});
+  const [rememberMapping, setRememberMapping] = useState(false);
+  const [profileFailed, setProfileFailed] = useState(0);
+  const [currencySettings, setCurrencySettings] = useState(DEFAULT_CURRENCY_SETTINGS);
+  const [importCurrency, setImportCurrency] = useState("");
+  const [showRates, setShowRates] = useState(false);
+  const [showBalances, setShowBalances] = useState(false);
+  const [balanceDrafts, setBalanceDrafts] = useState({});
+  const [categoryRules, setCategoryRules] = useState([]);
+  const [showRules, setShowRules] = useState(false);
+  const [rulesResult, setRulesResult] = useState("");
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [showCategories, setShowCategories] = useState(false);
+  const [newCategory, setNewCategory] = useState("");
+  const [deletingCategory, setDeletingCategory] = useState(null);
+  const [drillCategory, setDrillCategory] = useState(null);
+  const [expandedBudget, setExpandedBudget] = useState(null);
+  const [splitEditor, setSplitEditor] = useState(null);
+  const [showTransfers, setShowTransfers] = useState(false);
+  const [refundLinker, setRefundLinker] = useState(null);
+  const [scheduledItems, setScheduledItems] = useState([]);
+  const [calendarSettings, setCalendarSettings] = useState(DEFAULT_CALENDAR_SETTINGS);
+  const [calendarMonth, setCalendarMonth] = useState(() => monthKey(new Date()));
+  const [newScheduled, setNewScheduled] = useState({ date: "", description: "", amount: "", kind: "bill", repeat: "" });
+  const [forecastSettings, setForecastSettings] = useState(DEFAULT_FORECAST_SETTINGS);
+  const [scenarios, setScenarios] = useState([]);
+  const [editingScenario, setEditingScenario] = useState(null);
+  const [newScenarioName, setNewScenarioName] = useState("");
+  const [newAdjustment, setNewAdjustment] = useState({ type: "recurring", label: "", month: "", value: "", category: "" });
+  const baseCurrency = currencySettings.baseCurrency;
   const fileRef = useRef(null);
 
   // ─── Inject Google Fonts once ────────────────────────────────────────────
@@ -220,32 +850,80 @@ export default function CashFlowApp() {
     if (!user) {
       // Reset state when signed out
       setTransactions([]);
-      setBudgets({});
+      setBudgetVersions([]);
+      setBudgetTemplates([]);
+      setEnvelopeSettings(DEFAULT_ENVELOPE_SETTINGS);
       setCategoryOverrides({});
+      setCategoryRules([]);
+      setCategories(DEFAULT_CATEGORIES);
+      setMappingProfiles({});
+      setCurrencySettings(DEFAULT_CURRENCY_SETTINGS);
+      setScheduledItems([]);
+      setCalendarSettings(DEFAULT_CALENDAR_SETTINGS);
+      setForecastSettings(DEFAULT_FORECAST_SETTINGS);
+      setScenarios([]);
+      setEditingScenario(null);
       setSavedDatasets([]);
-      setActiveDatasetName(null);
+      setDuplicateReview(null);
+      setActiveDatasetNames([]);
+      setSelectedDatasetNames([]);
+      setAccountFilter("");
       setView("upload");
       return;
     }
     setDataLoading(true);
     loadUserData(user.uid).then(data => {
-      setBudgets(data.budgets);
+      setBudgetVersions(data.budgetVersions);
+      setBudgetTemplates(data.budgetTemplates);
+      setEnvelopeSettings(data.envelopeSettings);
       setCategoryOverrides(data.categoryOverrides);
+      setCategoryRules(data.categoryRules);
+      setCategories(data.categories.length > 0 ? data.categories : DEFAULT_CATEGORIES);
+      setMappingProfiles(data.mappingProfiles);
+      setCurrencySettings(data.currencySettings);
+      setScheduledItems(data.scheduledItems);
+      setCalendarSettings(data.calendarSettings);
+      setForecastSettings(data.forecastSettings);
+      setScenarios(data.scenarios);
       setSavedDatasets(data.datasets);
       setDataLoading(false);
     });
   }, [user]);
 
-  // ─── Persist budgets & category overrides to Firestore (debounced) ──────
+  // ─── Persist user settings (debounced) ───────────────────────────────────
   const budgetTimer = useRef(null);
+  const templateTimer = useRef(null);
+  const envelopeTimer = useRef(null);
   const overrideTimer = useRef(null);
+  const rulesTimer = useRef(null);
+  const categoriesTimer = useRef(null);
+  const profileTimer = useRef(null);
+  const currencyTimer = useRef(null);
+  const scheduleTimer = useRef(null);
+  const calendarTimer = useRef(null);
+  const forecastTimer = useRef(null);
+  const scenarioTimer = useRef(null);
 
   useEffect(() => {
     if (!user) return;
     clearTimeout(budgetTimer.current);
-    budgetTimer.current = setTimeout(() => { saveBudgets(user.uid, budgets); }, 1000);
+    budgetTimer.current = setTimeout(() => { saveBudgetVersions(user.uid, budgetVersions); }, 1000);
     return () => clearTimeout(budgetTimer.current);
-  }, [budgets, user]);
+  }, [budgetVersions, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(templateTimer.current);
+    templateTimer.current = setTimeout(() => { saveBudgetTemplates(user.uid, budgetTemplates); }, 1000);
+    return () => clearTimeout(templateTimer.current);
+  }, [budgetTemplates, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(envelopeTimer.current);
+    envelopeTimer.current = setTimeout(() => { saveEnvelopeSettings(user.uid, envelopeSettings); }, 1000);
+    return () => clearTimeout(envelopeTimer.current);
+  }, [envelopeSettings, user]);
 
   useEffect(() => {
     if (!user) return;
@@ -254,13 +932,237 @@ export default function CashFlowApp() {
     return () => clearTimeout(overrideTimer.current);
   }, [categoryOverrides, user]);
 
-  // ─── CSV Processing ──────────────────────────────────────────────────────
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(rulesTimer.current);
+    rulesTimer.current = setTimeout(() => { saveCategoryRules(user.uid, categoryRules); }, 1000);
+    return () => clearTimeout(rulesTimer.current);
+  }, [categoryRules, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(categoriesTimer.current);
+    categoriesTimer.current = setTimeout(() => { saveCategories(user.uid, categories); }, 1000);
+    return () => clearTimeout(categoriesTimer.current);
+  }, [categories, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(profileTimer.current);
+    profileTimer.current = setTimeout(() => { saveMappingProfiles(user.uid, mappingProfiles); }, 1000);
+    return () => clearTimeout(profileTimer.current);
+  }, [mappingProfiles, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(currencyTimer.current);
+    currencyTimer.current = setTimeout(() => { saveCurrencySettings(user.uid, currencySettings); }, 1000);
+    return () => clearTimeout(currencyTimer.current);
+  }, [currencySettings, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(scheduleTimer.current);
+    scheduleTimer.current = setTimeout(() => { saveScheduledItems(user.uid, scheduledItems); }, 1000);
+    return () => clearTimeout(scheduleTimer.current);
+  }, [scheduledItems, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(calendarTimer.current);
+    calendarTimer.current = setTimeout(() => { saveCalendarSettings(user.uid, calendarSettings); }, 1000);
+    return () => clearTimeout(calendarTimer.current);
+  }, [calendarSettings, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(forecastTimer.current);
+    forecastTimer.current = setTimeout(() => { saveForecastSettings(user.uid, forecastSettings); }, 1000);
+    return () => clearTimeout(forecastTimer.current);
+  }, [forecastSettings, user]);
+
+  useEffect(() => {
+    if (!user) return;
+    clearTimeout(scenarioTimer.current);
+    scenarioTimer.current = setTimeout(() => { saveScenarios(user.uid, scenarios); }, 1000);
+    return () => clearTimeout(scenarioTimer.current);
+  }, [scenarios, user]);
+
+  // ─── Import pipeline ─────────────────────────────────────────────────────
+  // Every file format ends up here as raw rows { date, description, amount, fitId? }.
+  // An import is { fileName, dsName, target, accountId, currency, balance, rows, skipped }, where
+  // target names the saved dataset being appended to ("" creates or replaces dsName),
+  // currency is the new dataset's default currency and balance is the account balance
+  // the statement reported, if any.
+
+  // Show the imported rows and persist them, either as a new dataset or appended to
+  // the target. Every import is recorded in the dataset's history.
+  // `datasets` are the saved datasets to import into when they've just been changed
+  // locally (by merging duplicates); the `changed` ones are written back along with the
+  // import, after it, so neither write overwrites the other.
+  const finishImport = useCallback((imp, datasets = savedDatasets, changed = []) => {
+    const { fileName, dsName, target, accountId, currency, rows, skipped, failed } = imp;
+    const record = { fileName, importedAt: new Date().toISOString(), added: rows.length, skipped, ...(failed ? { failed } : {}), ...(accountId ? { accountId } : {}) };
+    const existing = target ? datasets.find(ds => ds.name === target) : null;
+    // A replaced dataset keeps its import history and anchored balance
+    const replaced = target ? null : datasets.find(ds => ds.name === dsName);
+    // An older statement doesn't move the balance the account is anchored to
+    const balance = imp.balance && !(existing?.balance && existing.balance.date > imp.balance.date) ? imp.balance : null;
+    const kept = balance || replaced?.balance;
+    const imported = existing
+      ? { ...existing, transactions: [...existing.transactions, ...rows], imports: [...(existing.imports || []), record], ...(balance ? { balance } : {}) }
+      : { name: dsName, uploadedAt: new Date().toISOString(), transactions: rows, imports: [...(replaced?.imports || []), record], ...(currency ? { currency } : {}), ...(kept ? { balance: kept } : {}) };
+
+    // New rows may be the other side of transfers already on file
+    const others = datasets.filter(d => d.name !== dsName);
+    const linked = linkTransfers([...others, imported]);
+    const ds = linked[linked.length - 1];
+    const relinked = linked.filter((d, i) => d !== (i < others.length ? others[i] : imported) || changed.includes(d.name));
+
+    setTransactions(mergeDatasets([ds]));
+    setAccountFilter("");
+    setShowMapper(false);
+    setView("dashboard");
+
+    if (ds.transactions.length > 0) {
+      const sorted = [...ds.transactions].sort((a, b) => b.date - a.date);
+      setSelectedMonth(monthKey(sorted[0].date));
+    }
+
+    // Save to Firestore
+    setActiveDatasetNames([dsName]);
+    if (user) {
+      setSaving(true);
+      const save = existing
+        ? appendToDataset(user.uid, dsName, rows, record, { balance })
+        : saveDataset(user.uid, dsName, rows, { importRecord: record, currency, balance });
+      save
+        .then(() => relinked.length > 0 && updateDatasetsTransactions(user.uid, Object.fromEntries(relinked.map(d => [d.name, d.transactions]))))
+        .then(() => {
+          // Refresh local datasets list
+          setSavedDatasets(prev => {
+            const next = prev.map(d => d.name === dsName ? ds : relinked.find(r => r.name === d.name) || d);
+            return next.some(d => d.name === dsName) ? next : [...next, ds];
+          });
+          setSaving(false);
+        });
+    }
+  }, [user, savedDatasets]);
+
+  const importRows = useCallback((parsed, { fileName, target = "", accountId = "", currency = "", balance = null, skipped = 0, failed = 0 }) => {
+    const dsName = target || datasetNameFor(fileName);
+
+    // FITIDs are assigned by the bank, so a repeated one is certainly the same transaction.
+    // Re-uploading a file replaces its dataset, so that dataset doesn't count as known.
+    const knownFitIds = new Set(savedDatasets
+      .filter(ds => target || ds.name !== dsName)
+      .flatMap(ds => ds.transactions.map(t => t.fitId).filter(Boolean)));
+
+    let rows = [];
+    for (const raw of parsed) {
+      if (raw.fitId && knownFitIds.has(raw.fitId)) { skipped++; continue; }
+      if (raw.fitId) knownFitIds.add(raw.fitId);
+      // Use persisted category override if the user previously re-categorized this merchant,
+      // then the user's rules, then any category the file itself carried
+      const category = categoryOverrides[raw.description.toLowerCase()]
+        || applyRules(categoryRules, raw, dsName)
+        || raw.category
+        || categorize(raw.description, categories);
+      rows.push({ id: newTransactionId(), ...raw, category });
+    }
+
+    if (target) {
+      // Appending: rows the target already holds are the statement overlap, drop them outright
+      const existing = savedDatasets.find(ds => ds.name === target);
+      const overlap = new Set(findDuplicates(rows, [existing]).filter(f => f.dataset).map(f => f.index));
+      rows = rows.filter((_, i) => !overlap.has(i));
+      skipped += overlap.size;
+    }
+
+    const imp = { fileName, dsName, target, accountId, currency, balance, rows, skipped, failed };
+    const flags = findDuplicates(rows, savedDatasets.filter(ds => ds.name !== dsName));
+    if (flags.length > 0) {
+      setDuplicateReview({ ...imp, flags });
+      return;
+    }
+    finishImport(imp);
+  }, [savedDatasets, categoryOverrides, categoryRules, categories, finishImport]);
+
+  // Bank statement formats (OFX/QFX, camt.053, MT940) carry dates, signed amounts,
+  // bank references, the account id and usually the account balance, so they skip the
+  // column mapper. Statements for an account that was imported before are appended to
+  // that dataset, as are files named like an existing dataset (there's no mapper to ask
+  // whether to replace it).
+  const importStatement = useCallback(({ accountId, currency, balance, transactions: parsed }, fileName) => {
+    if (parsed.length === 0) {
+      setImportError(`No transactions found in ${fileName}.`);
+      return;
+    }
+    const existing = (accountId && savedDatasets.find(ds => (ds.imports || []).some(i => i.accountId === accountId)))
+      || savedDatasets.find(ds => ds.name === datasetNameFor(fileName));
+    importRows(parsed, {
+      fileName, accountId, currency,
+      balance: balance ? { amount: balance.amount, date: dayKey(balance.date), kind: balance.kind } : null,
+      target: existing ? existing.name : "",
+    });
+  }, [savedDatasets, importRows]);
+
+  // QIF has no headers to map either; its own categories are translated to ours.
+  // A file named like an existing dataset is appended to it.
+  const importQIF = useCallback((text, fileName) => {
+    const { transactions: parsed } = parseQIF(text);
+    if (parsed.length === 0) {
+      setImportError(`No transactions found in ${fileName}.`);
+      return;
+    }
+    const target = savedDatasets.some(ds => ds.name === datasetNameFor(fileName)) ? datasetNameFor(fileName) : "";
+    importRows(parsed.map(t => ({ ...t, category: mapQIFCategory(t.category, categories) })), { fileName, target });
+  }, [savedDatasets, importRows, categories]);
+
+  // ─── File Processing ─────────────────────────────────────────────────────
+
+  // Files whose headers match a saved profile are imported with it directly;
+  // anything else goes through the column mapper. So does a file the profile can't
+  // read every row of, with the profile filled in to be corrected.
+  const openMapper = useCallback((headers, json, fileName) => {
+    const profile = mappingProfiles[headerSignature(headers)];
+    setCsvHeaders(headers);
+    setCsvData(json);
+    if (profile) {
+      const { rows: parsed, failed } = rowsFromMapping(json, profile.mapping);
+      const target = savedDatasets.some(ds => ds.name === profile.target) ? profile.target : "";
+      if (failed === 0) {
+        importRows(parsed, { fileName, target, currency: profile.currency || "", skipped: json.length - parsed.length });
+        return;
+      }
+      setColumnMapping({ ...EMPTY_MAPPING, ...profile.mapping });
+      setRememberMapping(true);
+      setImportTarget(target);
+      setImportCurrency(profile.currency || baseCurrency);
+      setProfileFailed(failed);
+      setShowMapper(true);
+      return;
+    }
+
+    const guessed = guessMapping(headers);
+    setColumnMapping(guessed);
+    setRememberMapping(false);
+    setImportCurrency(baseCurrency);
+    setProfileFailed(0);
+    setShowMapper(true);
+  }, [mappingProfiles, savedDatasets, importRows, baseCurrency]);
 
   const handleFile = useCallback((file) => {
     if (!file) return;
-    setUploadFileName(file.name.replace(/\.[^/.]+$/, "")); // strip extension for dataset name
+    setUploadFileName(file.name);
+    setImportTarget("");
+    setImportError("");
     const name = file.name.toLowerCase();
     const isExcel = name.endsWith(".xlsx") || name.endsWith(".xls") || name.endsWith(".xlsm");
+    const isOFX = name.endsWith(".ofx") || name.endsWith(".qfx");
+    const isQIF = name.endsWith(".qif");
+    const isMT940 = name.endsWith(".sta") || name.endsWith(".940") || name.endsWith(".mt940");
+    const isPDF = name.endsWith(".pdf");
 
     if (isExcel) {
       const reader = new FileReader();
@@ -283,24 +1185,56 @@ export default function CashFlowApp() {
             headers = json.length > 0 ? Object.keys(json[0]) : [];
           }
 
-          if (json.length > 0) {
-            setCsvHeaders(headers);
-            setCsvData(json);
-            const guessed = guessMapping(headers);
-            setColumnMapping(guessed);
-            setShowMapper(true);
-          }
+          if (json.length > 0) openMapper(headers, json, file.name);
         } catch (err) {
           console.error("Excel parse error:", err);
         }
       };
       reader.readAsArrayBuffer(file);
+    } else if (isPDF) {
+      // Rebuild the statement's transaction table from the PDF text layout
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        readPDFLines(new Uint8Array(e.target.result))
+          .then(lines => {
+            const detected = findHeaderRowInPDF(lines);
+            if (detected && detected.data.length > 0) openMapper(detected.headers, detected.data, file.name);
+            else setImportError(`No transaction table found in ${file.name}. Scanned statements (images of text) can't be read — try your bank's CSV or OFX export.`);
+          })
+          .catch(err => setImportError(`${file.name} couldn't be read as a PDF: ${err.message}`));
+      };
+      reader.readAsArrayBuffer(file);
     } else {
       // Read file as text first so we can scan for the real header row
       const textReader = new FileReader();
       textReader.onload = (e) => {
         const text = e.target.result;
 
+        // Statement parsers throw on files they can't take (invalid XML, several accounts)
+        const statement = parse => {
+          try {
+            importStatement(parse(text), file.name);
+          } catch (err) {
+            setImportError(`${file.name} couldn't be imported: ${err.message}`);
+          }
+        };
+        if (isOFX || looksLikeOFX(text)) {
+          statement(parseOFX);
+          return;
+        }
+        if (looksLikeCamt053(text)) {
+          statement(parseCamt053);
+          return;
+        }
+        if (isMT940 || looksLikeMT940(text)) {
+          statement(parseMT940);
+          return;
+        }
+        if (isQIF || looksLikeQIF(text)) {
+          importQIF(text, file.name);
+          return;
+        }
+
         // Try smart header detection first
         const detected = findHeaderRowInCSV(text);
         let headers, json;
@@ -314,107 +1248,328 @@ export default function CashFlowApp() {
           headers = json.length > 0 ? Object.keys(json[0]) : [];
         }
 
-        if (json.length > 0) {
-          setCsvHeaders(headers);
-          setCsvData(json);
-          const guessed = guessMapping(headers);
-          setColumnMapping(guessed);
-          setShowMapper(true);
-        }
+        if (json.length > 0) openMapper(headers, json, file.name);
       };
       textReader.readAsText(file);
     }
-  }, []);
+  }, [importStatement, importQIF, openMapper]);
+
+  const detectedDateFormat = useMemo(
+    () => detectDateFormat(columnMapping.date ? csvData.map(r => r[columnMapping.date]) : []),
+    [csvData, columnMapping.date]
+  );
+
+  const detectedNumberFormat = useMemo(
+    () => detectNumberFormat(amountSamples(csvData, columnMapping)),
+    [csvData, columnMapping]
+  );
+
+  // Rows the current mapping can't read, so they're reported before importing
+  const unreadableRows = useMemo(
+    () => columnMapping.date ? rowsFromMapping(csvData, columnMapping).failed : 0,
+    [csvData, columnMapping]
+  );
 
   const applyMapping = useCallback(() => {
-    const { date, description, amount, debit, credit } = columnMapping;
-    const parsed = csvData.map((row, i) => {
-      const d = parseDate(row[date]);
-      if (!d) return null;
-
-      let amt;
-      if (amount) {
-        amt = parseAmount(row[amount]);
-      } else if (debit || credit) {
-        const db = parseAmount(row[debit] || 0);
-        const cr = parseAmount(row[credit] || 0);
-        amt = cr > 0 ? cr : -Math.abs(db);
+    const { rows: parsed, failed } = rowsFromMapping(csvData, columnMapping);
+
+    if (rememberMapping) {
+      // Save the formats as read, so later files aren't guessed at without the mapper to correct them
+      const mapping = {
+        ...columnMapping,
+        dateFormat: columnMapping.dateFormat || detectedDateFormat.format,
+        numberFormat: columnMapping.numberFormat || detectedNumberFormat.format,
+      };
+      setMappingProfiles(p => ({
+        ...p,
+        [headerSignature(csvHeaders)]: { headers: csvHeaders, mapping, target: importTarget, currency: importCurrency, savedAt: new Date().toISOString() },
+      }));
+    }
+
+    importRows(parsed, { fileName: uploadFileName, target: importTarget, currency: importCurrency, skipped: csvData.length - parsed.length - failed, failed });
+  }, [columnMapping, detectedDateFormat, detectedNumberFormat, csvData, csvHeaders, rememberMapping, uploadFileName, importTarget, importCurrency, importRows]);
+
+  // ─── Duplicate review ────────────────────────────────────────────────────
+
+  const setDuplicateAction = useCallback((index, action) => {
+    setDuplicateReview(prev => ({ ...prev, flags: prev.flags.map(f => f.index === index ? { ...f, action } : f) }));
+  }, []);
+
+  const resolveDuplicates = useCallback(() => {
+    const { flags, ...imp } = duplicateReview;
+    const { rows, skipped } = imp;
+    const actions = new Map(flags.map(f => [f.index, f]));
+    const kept = rows.map(r => ({ ...r }));
+    const savedMerges = {};
+
+    flags.forEach(f => {
+      if (f.action !== "merge") return;
+      if (f.dataset) {
+        (savedMerges[f.dataset] = savedMerges[f.dataset] || []).push(f);
       } else {
-        return null;
+        kept[f.matchIndex] = mergeDuplicate(kept[f.matchIndex], rows[f.index]);
       }
+    });
 
-      const desc = row[description] || "Unknown";
-      // Use persisted category override if the user previously re-categorized this merchant
-      const cat = categoryOverrides[desc.toLowerCase()] || categorize(desc);
+    const resolved = kept.filter((_, i) => !actions.has(i) || actions.get(i).action === "keep");
 
-      return { id: i, date: d, description: desc, amount: amt, category: cat };
-    }).filter(Boolean);
+    // Merges into previously saved datasets update those datasets in place; the import
+    // builds on the merged datasets and saves them together with the new rows
+    const mergedNames = Object.keys(savedMerges);
+    const datasets = savedDatasets.map(ds => !mergedNames.includes(ds.name) ? ds : {
+      ...ds,
+      transactions: ds.transactions.map(t => {
+        const f = savedMerges[ds.name].find(m => m.match.id === t.id);
+        return f ? mergeDuplicate(t, rows[f.index]) : t;
+      }),
+    });
+    if (mergedNames.length > 0) setSavedDatasets(datasets);
 
-    setTransactions(parsed);
-    setShowMapper(false);
-    setView("dashboard");
+    setDuplicateReview(null);
+    finishImport({ ...imp, rows: resolved, skipped: skipped + rows.length - resolved.length }, datasets, mergedNames);
+  }, [duplicateReview, savedDatasets, finishImport]);
 
-    if (parsed.length > 0) {
-      const sorted = [...parsed].sort((a, b) => b.date - a.date);
-      setSelectedMonth(monthKey(sorted[0].date));
-    }
+  // ─── Category lookups ────────────────────────────────────────────────────
+  // Subcategories are one level deep: a category with a parent can't have children.
+  // A parent that no longer exists (or is itself a child) is ignored.
 
-    // Save to Firestore
-    const dsName = uploadFileName || `Upload ${new Date().toLocaleDateString()}`;
-    setActiveDatasetName(dsName);
-    if (user) {
-      setSaving(true);
-      saveDataset(user.uid, dsName, parsed).then(() => {
-        // Refresh local datasets list
-        setSavedDatasets(prev => {
-          const idx = prev.findIndex(d => d.name === dsName);
-          const ds = { name: dsName, uploadedAt: new Date().toISOString(), transactions: parsed };
-          if (idx >= 0) { const next = [...prev]; next[idx] = ds; return next; }
-          return [...prev, ds];
-        });
-        setSaving(false);
-      });
-    }
-  }, [columnMapping, csvData, categoryOverrides, user, uploadFileName]);
+  const categoryNames = useMemo(() => categories.map(c => c.name), [categories]);
+  const categoryColors = useMemo(() => Object.fromEntries(categories.map(c => [c.name, c.color])), [categories]);
+  const colorOf = (name) => categoryColors[name] || CATEGORY_COLORS["Other"];
+
+  const parentOf = useMemo(() => {
+    const topLevel = new Set(categories.filter(c => !c.parent).map(c => c.name));
+    return Object.fromEntries(categories.filter(c => topLevel.has(c.parent)).map(c => [c.name, c.parent]));
+  }, [categories]);
+
+  const childrenOf = useMemo(() => {
+    const map = {};
+    for (const [child, parent] of Object.entries(parentOf)) (map[parent] = map[parent] || []).push(child);
+    return map;
+  }, [parentOf]);
+
+  // Income categories (and their subcategories); positive amounts anywhere else are refunds
+  const incomeCategories = useMemo(() => new Set(categories
+    .filter(c => c.keys.includes("Income") || categories.some(p => p.name === parentOf[c.name] && p.keys.includes("Income")))
+    .map(c => c.name)), [categories, parentOf]);
+  const otherCategory = useMemo(() => fallbackCategory(categories), [categories]);
+
+  // Parents each followed by their children, labelled "Utilities › Electric" for dropdowns
+  const categoryOptions = useMemo(() => categoryNames
+    .filter(n => !parentOf[n])
+    .flatMap(n => [n, ...(childrenOf[n] || [])])
+    .map(n => ({ value: n, label: parentOf[n] ? `${parentOf[n]} › ${n}` : n })), [categoryNames, parentOf, childrenOf]);
 
   // ─── Filtered Transactions ───────────────────────────────────────────────
 
+  const accounts = useMemo(() => [...new Set(transactions.map(t => t.account).filter(Boolean))], [transactions]);
+
+  // Every total is reported in the base currency; the original amount is kept for display
+  const ledger = useMemo(() => transactions.map(t => {
+    if (!t.currency || t.currency === baseCurrency) return t;
+    const convert = amount => toBaseCurrency(amount, t.currency, currencySettings);
+    return {
+      ...t,
+      originalAmount: t.amount,
+      amount: convert(t.amount),
+      ...(t.splits ? { splits: t.splits.map(p => ({ ...p, amount: convert(p.amount) })) } : {}),
+    };
+  }), [transactions, currencySettings, baseCurrency]);
+
+  const foreignCurrencies = useMemo(
+    () => [...new Set(transactions.map(t => t.currency).filter(c => c && c !== baseCurrency))],
+    [transactions, baseCurrency]
+  );
+  const missingRates = foreignCurrencies.filter(c => !currencySettings.exchangeRates[c]);
+
+  // Account filter applies to every tab, including the monthly history the forecast is built from
+  const accountTransactions = useMemo(() => {
+    if (!accountFilter) return ledger;
+    return ledger.filter(t => t.account === accountFilter);
+  }, [ledger, accountFilter]);
+
   const filtered = useMemo(() => {
     if (dateRange.start || dateRange.end) {
       const s = dateRange.start ? new Date(dateRange.start) : new Date(0);
       const e = dateRange.end ? new Date(dateRange.end + "T23:59:59") : new Date();
-      return transactions.filter(t => t.date >= s && t.date <= e);
+      return accountTransactions.filter(t => t.date >= s && t.date <= e);
     }
     if (selectedMonth) {
-      return transactions.filter(t => monthKey(t.date) === selectedMonth);
+      return accountTransactions.filter(t => monthKey(t.date) === selectedMonth);
     }
-    return transactions;
-  }, [transactions, selectedMonth, dateRange]);
+    return accountTransactions;
+  }, [accountTransactions, selectedMonth, dateRange]);
 
   // ─── Derived Data ────────────────────────────────────────────────────────
 
-  const income = useMemo(() => filtered.filter(t => t.amount > 0).reduce((s, t) => s + t.amount, 0), [filtered]);
-  const expenses = useMemo(() => filtered.filter(t => t.amount < 0).reduce((s, t) => s + Math.abs(t.amount), 0), [filtered]);
+  // Transfers between the user's own accounts stay listed but don't count as cash flow
+  const cashFlow = useMemo(() => filtered.filter(t => !t.transfer), [filtered]);
+
+  // Refunds are netted against spending, so they count toward neither income nor charges
+  const cashFlowParts = useMemo(() => cashFlow.flatMap(categoryParts), [cashFlow]);
+  const refunds = useMemo(() => cashFlowParts.filter(p => isRefund(p, incomeCategories, otherCategory)).reduce((s, p) => s + p.amount, 0), [cashFlowParts, incomeCategories, otherCategory]);
+  const income = useMemo(() => cashFlowParts.filter(p => p.amount > 0).reduce((s, p) => s + p.amount, 0) - refunds, [cashFlowParts, refunds]);
+  const expenses = useMemo(() => cashFlowParts.filter(p => p.amount < 0).reduce((s, p) => s + Math.abs(p.amount), 0) - refunds, [cashFlowParts, refunds]);
   const netFlow = income - expenses;
 
+  // Net spending rolled up to top-level categories; each entry's children break it down by
+  // subcategory (money filed on the parent itself appears under the parent's name).
+  // `refunded` is how much refunds took off; categories refunded down to zero drop out.
   const categoryBreakdown = useMemo(() => {
     const map = {};
-    filtered.filter(t => t.amount < 0).forEach(t => {
-      const c = t.category;
-      map[c] = (map[c] || 0) + Math.abs(t.amount);
+    cashFlowParts.filter(p => p.amount < 0 || isRefund(p, incomeCategories, otherCategory)).forEach(p => {
+      const c = p.category;
+      const top = parentOf[c] || c;
+      if (!map[top]) map[top] = { value: 0, refunded: 0, children: {} };
+      map[top].value -= p.amount;
+      if (p.amount > 0) map[top].refunded += p.amount;
+      map[top].children[c] = (map[top].children[c] || 0) - p.amount;
     });
+    const round = v => Math.round(v * 100) / 100;
     return Object.entries(map)
-      .map(([name, value]) => ({ name, value: Math.round(value * 100) / 100 }))
+      .map(([name, { value, refunded, children }]) => ({
+        name,
+        value: round(value),
+        refunded: round(refunded),
+        children: Object.entries(children)
+          .map(([child, v]) => ({ name: child, value: round(v) }))
+          .filter(c => c.value > 0)
+          .sort((a, b) => b.value - a.value),
+      }))
+      .filter(c => c.value > 0)
       .sort((a, b) => b.value - a.value);
-  }, [filtered]);
+  }, [cashFlowParts, incomeCategories, otherCategory, parentOf]);
+
+  // The pie shows top-level categories; a parent with subcategories drills into them
+  const drilledCategory = drillCategory && categoryBreakdown.find(c => c.name === drillCategory);
+  const pieSlices = drilledCategory ? drilledCategory.children : categoryBreakdown;
+  const drillInto = (name) => { if (!drilledCategory && childrenOf[name]) setDrillCategory(name); };
+
+  // Every top-level spending category can carry a budget, including ones with nothing
+  // spent yet. Children are listed in full so each subcategory can be budgeted too.
+  const budgetCategories = useMemo(() => {
+    const spent = new Map(categoryBreakdown.map(c => [c.name, c]));
+    const withChildren = (name, value, children = [], refunded = 0) => ({
+      name,
+      value,
+      refunded,
+      children: (childrenOf[name] || []).map(child => ({ name: child, value: children.find(c => c.name === child)?.value || 0 })),
+      direct: children.find(c => c.name === name)?.value || 0,
+    });
+    const unspent = categories
+      .filter(c => !spent.has(c.name) && !parentOf[c.name] && !c.keys.includes("Income"))
+      .map(c => withChildren(c.name, 0));
+    return [...categoryBreakdown.map(c => withChildren(c.name, c.value, c.children, c.refunded)), ...unspent];
+  }, [categoryBreakdown, categories, parentOf, childrenOf]);
+
+  // The days the Budget tab compares against: the month picked, the custom range
+  // (open ends fall back to the first transaction and today, as the filter does), or
+  // the whole history
+  const budgetSpan = useMemo(() => {
+    const first = accountTransactions.reduce((m, t) => t.date < m ? t.date : m, new Date());
+    const last = accountTransactions.reduce((m, t) => !m || t.date > m ? t.date : m, null) || new Date();
+    const day = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    if (dateRange.start || dateRange.end) {
+      const start = dateRange.start ? parseDayKey(dateRange.start) : day(first);
+      const end = dateRange.end ? parseDayKey(dateRange.end) : day(new Date());
+      return { start, end, label: `${start.toLocaleDateString()} – ${end.toLocaleDateString()}` };
+    }
+    if (selectedMonth) {
+      const start = parseDayKey(`${selectedMonth}-01`);
+      return { start, end: new Date(start.getFullYear(), start.getMonth() + 1, 0), label: monthLabel(selectedMonth) };
+    }
+    return { start: day(first), end: day(last), label: "all time" };
+  }, [accountTransactions, dateRange, selectedMonth]);
+
+  // Net spending per category (subcategories and their rolled-up parents) per month,
+  // which rollover budgets are carried forward with
+  const spentByMonth = useMemo(() => {
+    const map = {};
+    const add = (c, k, v) => { map[c] = map[c] || {}; map[c][k] = (map[c][k] || 0) + v; };
+    for (const t of accountTransactions) {
+      if (t.transfer) continue;
+      const k = monthKey(t.date);
+      for (const p of categoryParts(t)) {
+        if (p.amount > 0 && !isRefund(p, incomeCategories, otherCategory)) continue;
+        add(p.category, k, -p.amount);
+        if (parentOf[p.category]) add(parentOf[p.category], k, -p.amount);
+      }
+    }
+    return map;
+  }, [accountTransactions, incomeCategories, otherCategory, parentOf]);
+
+  // Budget edits take effect from the first month on screen onwards
+  const budgetMonth = monthKey(budgetSpan.start);
+  const budgets = budgetsIn(budgetVersions, budgetMonth);
+  const budgetAt = (name, month) => {
+    const b = budgetsIn(budgetVersions, month)[name];
+    return b && b.amount ? b : null;
+  };
+
+  // A category's budget for a span (the one on screen by default), month by month as
+  // the versions had it: { limit, base, carry }, or null without one
+  const budgetFor = (name, span = budgetSpan) => {
+    const startMonth = monthKey(span.start);
+    let base = 0;
+    let budgeted = false;
+    for (let m = startMonth; m <= monthKey(span.end); m = addMonths(m, 1)) {
+      const b = budgetAt(name, m);
+      if (!b) continue;
+      budgeted = true;
+      const [y, mo] = m.split("-").map(Number);
+      const first = new Date(y, mo - 1, 1);
+      const last = new Date(y, mo, 0);
+      base += budgetForSpan(b, span.start > first ? span.start : first, span.end < last ? span.end : last);
+    }
+    if (!budgeted) return null;
+    const current = budgetAt(name, startMonth);
+    const carry = current ? rolloverInto(current, startMonth, spentByMonth[name] || {}, m => budgetAt(name, m)) : 0;
+    return { limit: base + carry, base, carry };
+  };
+
+  const setBudget = (name, amount, period, rollover) => {
+    setBudgetVersions(prev => editBudgetVersion(prev, budgetMonth, budgets => {
+      const { [name]: current, ...rest } = budgets;
+      if (!amount) return rest;
+      const rolloverFrom = rollover ? current?.rolloverFrom || budgetMonth : "";
+      return { ...rest, [name]: { amount, period, rollover, ...(rolloverFrom ? { rolloverFrom } : {}) } };
+    }));
+  };
+
+  const saveBudgetTemplate = () => {
+    const name = newTemplateName.trim();
+    if (!name) return;
+    // Templates hold amounts and settings; when rollover starts is decided on applying
+    const templateBudgets = Object.fromEntries(Object.entries(budgets).map(([c, { rolloverFrom, ...b }]) => [c, b]));
+    setBudgetTemplates(prev => [...prev.filter(t => t.name !== name), { id: crypto.randomUUID(), name, budgets: templateBudgets }]);
+    setNewTemplateName("");
+  };
+
+  // A template replaces the month's budgets; rollover keeps running where it already was
+  const applyBudgetTemplate = (template) => {
+    setBudgetVersions(prev => editBudgetVersion(prev, budgetMonth, current => Object.fromEntries(
+      Object.entries(template.budgets).map(([c, b]) => {
+        const rolloverFrom = b.rollover ? current[c]?.rolloverFrom || budgetMonth : "";
+        return [c, { ...b, ...(rolloverFrom ? { rolloverFrom } : {}) }];
+      })
+    )));
+  };
 
   const monthlyData = useMemo(() => {
     const map = {};
-    transactions.forEach(t => {
+    accountTransactions.filter(t => !t.transfer).forEach(t => {
       const k = monthKey(t.date);
-      if (!map[k]) map[k] = { month: k, income: 0, expenses: 0 };
-      if (t.amount > 0) map[k].income += t.amount;
-      else map[k].expenses += Math.abs(t.amount);
+      if (!map[k]) map[k] = { month: k, income: 0, expenses: 0, byCategory: {} };
+      for (const p of categoryParts(t)) {
+        if (p.amount > 0 && !isRefund(p, incomeCategories, otherCategory)) {
+          map[k].income += p.amount;
+          continue;
+        }
+        // Spending (net of refunds) per top-level category, for the per-category forecast
+        const top = parentOf[p.category] || p.category;
+        map[k].expenses -= p.amount;
+        map[k].byCategory[top] = (map[k].byCategory[top] || 0) - p.amount;
+      }
     });
     return Object.values(map)
       .sort((a, b) => a.month.localeCompare(b.month))
@@ -425,76 +1580,577 @@ export default function CashFlowApp() {
         income: Math.round(d.income * 100) / 100,
         expenses: Math.round(d.expenses * 100) / 100
       }));
-  }, [transactions]);
+  }, [accountTransactions, incomeCategories, otherCategory, parentOf]);
 
   const months = useMemo(() => monthlyData.map(d => d.month), [monthlyData]);
 
-  // ─── Forecast ────────────────────────────────────────────────────────────
+  // ─── Envelopes ───────────────────────────────────────────────────────────
+  // Every top-level spending category is an envelope, as is anything spent under a
+  // category that's since been removed from the list
 
-  const forecast = useMemo(() => {
-    if (monthlyData.length < 2) return [];
-    const recent = monthlyData.slice(-3);
-    const avgIncome = recent.reduce((s, d) => s + d.income, 0) / recent.length;
-    const avgExpenses = recent.reduce((s, d) => s + d.expenses, 0) / recent.length;
-
-    const last = monthlyData[monthlyData.length - 1];
-    const [y, m] = last.month.split("-").map(Number);
-
-    const result = [];
-    for (let i = 1; i <= 3; i++) {
-      const nm = ((m - 1 + i) % 12) + 1;
-      const ny = y + Math.floor((m - 1 + i) / 12);
-      const key = `${ny}-${String(nm).padStart(2, "0")}`;
-      result.push({
-        month: key,
-        label: monthLabel(key),
-        income: Math.round(avgIncome),
-        expenses: Math.round(avgExpenses),
-        net: Math.round(avgIncome - avgExpenses),
-        forecast: true
-      });
+  const envelopeNames = useMemo(() => [...new Set([
+    ...categories.filter(c => !parentOf[c.name]).map(c => c.name),
+    ...Object.keys(spentByMonth).filter(c => !parentOf[c]),
+  ])].filter(c => !incomeCategories.has(c)), [categories, spentByMonth, parentOf, incomeCategories]);
+
+  // The month on screen in envelope mode, from the first month with income, spending or
+  // an allocation, so carried balances and money left to assign are included
+  const envelopeMonth = useMemo(() => {
+    if (!envelopeSettings.enabled) return null;
+    const { allocations } = envelopeSettings;
+    const active = [budgetMonth, ...months, ...Object.keys(allocations).filter(m => Object.keys(allocations[m]).length > 0)].sort();
+    // Only money filed under the Income categories is there to assign
+    const incomeByMonth = {};
+    for (const t of accountTransactions) {
+      if (t.transfer) continue;
+      const k = monthKey(t.date);
+      for (const p of categoryParts(t)) {
+        if (p.amount > 0 && incomeCategories.has(p.category)) incomeByMonth[k] = (incomeByMonth[k] || 0) + p.amount;
+      }
+    }
+    return envelopeLedger(active[0], budgetMonth, envelopeNames, incomeByMonth, spentByMonth, allocations)[budgetMonth];
+  }, [envelopeSettings, budgetMonth, months, accountTransactions, incomeCategories, envelopeNames, spentByMonth]);
+
+  const setAllocation = (name, amount) => {
+    setEnvelopeSettings(prev => {
+      const { [name]: _, ...rest } = prev.allocations[budgetMonth] || {};
+      return { ...prev, allocations: { ...prev.allocations, [budgetMonth]: amount ? { ...rest, [name]: amount } : rest } };
+    });
+  };
+
+  // Cover an overspent envelope from another one (or from the money left to assign
+  // when `from` is empty), as far as that has money to give
+  const coverOverspending = (name, from) => {
+    const needed = -envelopeMonth.envelopes[name].balance;
+    const available = from ? envelopeMonth.envelopes[from].balance : envelopeMonth.unallocated;
+    const amount = Math.round(Math.min(needed, available) * 100) / 100;
+    if (amount <= 0) return;
+    setEnvelopeSettings(prev => {
+      const assigned = { ...prev.allocations[budgetMonth] };
+      assigned[name] = (assigned[name] || 0) + amount;
+      if (from) assigned[from] = (assigned[from] || 0) - amount;
+      return { ...prev, allocations: { ...prev.allocations, [budgetMonth]: assigned } };
+    });
+  };
+
+  // Recurring charges look at the whole history of the selected accounts, not the date filter
+  const recurring = useMemo(() => detectRecurring(accountTransactions), [accountTransactions]);
+  const activeRecurring = recurring.filter(r => r.active);
+  const recurringIncome = useMemo(
+    () => detectRecurring(accountTransactions, { income: true }).filter(r => r.active),
+    [accountTransactions]
+  );
+
+  // ─── Account balances ───────────────────────────────────────────────────
+  // A dataset's balance is an anchor; every transaction's running balance follows from
+  // it by adding up the transactions in between. Amounts are in the base currency.
+
+  const accountBalances = useMemo(() => {
+    const result = {};
+    for (const ds of savedDatasets) {
+      if (!ds.balance || !accounts.includes(ds.name)) continue;
+      const { amount, date, kind } = ds.balance;
+      const txns = ledger.filter(t => t.account === ds.name).sort((a, b) => a.date - b.date);
+      const counted = txns.filter(t => kind === "opening" ? dayKey(t.date) < date : dayKey(t.date) <= date);
+      let running = toBaseCurrency(amount, ds.currency, currencySettings) - counted.reduce((s, t) => s + t.amount, 0);
+      const start = running;
+      const after = new Map();
+      for (const t of txns) {
+        running += t.amount;
+        after.set(t.id, Math.round(running * 100) / 100);
+      }
+      result[ds.name] = { txns, start, after, current: Math.round(running * 100) / 100 };
     }
     return result;
+  }, [savedDatasets, accounts, ledger, currencySettings]);
+
+  const balanceAccounts = useMemo(
+    () => Object.keys(accountBalances).filter(a => !accountFilter || a === accountFilter),
+    [accountBalances, accountFilter]
+  );
+  const unbalancedAccounts = accounts.filter(a => !accountBalances[a] && (!accountFilter || a === accountFilter));
+  const hasBalances = Object.keys(accountBalances).length > 0;
+  const currentBalance = balanceAccounts.length > 0
+    ? Math.round(balanceAccounts.reduce((s, a) => s + accountBalances[a].current, 0) * 100) / 100
+    : null;
+
+  // Month-end balance per account and in total; before an account's first transaction
+  // its starting balance is assumed
+  const balanceHistory = useMemo(() => {
+    if (balanceAccounts.length === 0) return [];
+    const monthEnd = {};
+    for (const a of balanceAccounts) {
+      monthEnd[a] = {};
+      for (const t of accountBalances[a].txns) monthEnd[a][monthKey(t.date)] = accountBalances[a].after.get(t.id);
+    }
+    const allMonths = [...new Set(balanceAccounts.flatMap(a => Object.keys(monthEnd[a])))].sort();
+    const last = Object.fromEntries(balanceAccounts.map(a => [a, accountBalances[a].start]));
+    return allMonths.map(month => {
+      for (const a of balanceAccounts) if (month in monthEnd[a]) last[a] = monthEnd[a][month];
+      return {
+        month,
+        label: monthLabel(month),
+        accounts: { ...last },
+        total: Math.round(Object.values(last).reduce((s, v) => s + v, 0) * 100) / 100,
+      };
+    });
+  }, [balanceAccounts, accountBalances]);
+
+  const saveAccountBalance = useCallback((dsName, balance) => {
+    setSavedDatasets(prev => prev.map(ds => {
+      if (ds.name !== dsName) return ds;
+      const { balance: _, ...rest } = ds;
+      return balance ? { ...rest, balance } : rest;
+    }));
+    setBalanceDrafts(prev => {
+      const { [dsName]: _, ...rest } = prev;
+      return rest;
+    });
+    if (user) saveDatasetBalance(user.uid, dsName, balance);
+  }, [user]);
+
+  // ─── Bills calendar ─────────────────────────────────────────────────────
+  // Expected recurring payments and hand-scheduled items from today through the end of
+  // the month on screen, with the balance each day would end on
+
+  const calendarDays = useMemo(() => {
+    const now = new Date();
+    const from = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const to = parseDayKey(`${calendarMonth}-01`);
+    to.setMonth(to.getMonth() + 1, 0);
+
+    const events = [];
+    for (const r of recurringIncome) {
+      for (const date of occurrences(r.next, r.cadence, from, to)) events.push({ date, description: r.merchant, amount: r.typical, scheduled: false });
+    }
+    for (const r of activeRecurring) {
+      for (const date of occurrences(r.next, r.cadence, from, to)) events.push({ date, description: r.merchant, amount: -r.typical, scheduled: false });
+    }
+    for (const item of scheduledItems) {
+      const cadence = CADENCES.find(c => c.id === item.repeat);
+      for (const date of occurrences(parseDayKey(item.date), cadence, from, to)) events.push({ date, description: item.description, amount: item.amount, scheduled: true });
+    }
+
+    const byDay = {};
+    for (const e of events) (byDay[dayKey(e.date)] = byDay[dayKey(e.date)] || []).push(e);
+    const days = {};
+    let balance = currentBalance ?? calendarSettings.startingBalance;
+    for (let d = from; d <= to; d = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1)) {
+      const items = byDay[dayKey(d)] || [];
+      balance += items.reduce((s, e) => s + e.amount, 0);
+      days[dayKey(d)] = { items, balance: Math.round(balance * 100) / 100 };
+    }
+    return days;
+  }, [calendarMonth, recurringIncome, activeRecurring, scheduledItems, calendarSettings, currentBalance]);
+
+  const lowBalanceDays = Object.keys(calendarDays).filter(k => calendarDays[k].balance < calendarSettings.threshold);
+
+  const addScheduledItem = useCallback(() => {
+    const amount = Math.abs(parseFloat(newScheduled.amount));
+    if (!newScheduled.date || !newScheduled.description.trim() || !amount) return;
+    setScheduledItems(prev => [...prev, {
+      id: crypto.randomUUID(),
+      date: newScheduled.date,
+      description: newScheduled.description.trim(),
+      amount: newScheduled.kind === "income" ? amount : -amount,
+      repeat: newScheduled.repeat,
+    }]);
+    setNewScheduled(n => ({ ...n, description: "", amount: "" }));
+  }, [newScheduled]);
+
+  // ─── Forecast ────────────────────────────────────────────────────────────
+
+  const forecastMethod = FORECAST_METHODS.find(m => m.id === forecastSettings.method) || FORECAST_METHODS[0];
+  const forecast = useMemo(
+    () => forecastMonthly(monthlyData, forecastMethod.id, forecastSettings.horizon),
+    [monthlyData, forecastMethod, forecastSettings.horizon]
+  );
+
+  // ─── What-if scenarios ──────────────────────────────────────────────────
+
+  // Average monthly spending per category lately, the base for category percentages
+  // when the forecast method doesn't project categories itself
+  const recentSpend = useMemo(() => {
+    const recent = monthlyData.slice(-FORECAST_WINDOW);
+    const avg = {};
+    for (const d of recent) {
+      for (const [c, v] of Object.entries(d.byCategory)) avg[c] = (avg[c] || 0) + v / recent.length;
+    }
+    return avg;
   }, [monthlyData]);
 
+  const scenarioForecasts = useMemo(() => scenarios.map((s, i) => ({
+    ...s,
+    color: SCENARIO_COLORS[i % SCENARIO_COLORS.length],
+    forecast: applyScenario(forecast, s, recentSpend),
+  })), [scenarios, forecast, recentSpend]);
+
+  const addScenario = useCallback(() => {
+    const name = newScenarioName.trim();
+    if (!name) return;
+    const id = crypto.randomUUID();
+    setScenarios(prev => [...prev, { id, name, adjustments: [] }]);
+    setEditingScenario(id);
+    setNewScenarioName("");
+  }, [newScenarioName]);
+
+  const updateScenario = useCallback((id, update) => {
+    setScenarios(prev => prev.map(s => s.id === id ? update(s) : s));
+  }, []);
+
+  const addAdjustment = useCallback(() => {
+    const { type, label, month, category } = newAdjustment;
+    const value = parseFloat(newAdjustment.value);
+    if (!editingScenario || !value || (type === "once" && !month) || (type === "category" && !category)) return;
+    const adjustment = {
+      id: crypto.randomUUID(),
+      type,
+      label: label.trim(),
+      month,
+      amount: type === "category" ? 0 : value,
+      category: type === "category" ? category : "",
+      percent: type === "category" ? value : 0,
+    };
+    updateScenario(editingScenario, s => ({ ...s, adjustments: [...s.adjustments, adjustment] }));
+    setNewAdjustment(a => ({ ...a, label: "", value: "" }));
+  }, [newAdjustment, editingScenario, updateScenario]);
+
   // Combined data with separate actual/forecast keys so chart can style them differently
   const combinedMonthly = useMemo(() => {
     const actual = monthlyData.map(d => ({
       ...d,
       incomeActual: d.income, expensesActual: d.expenses, netActual: d.net,
       incomeForecast: null, expensesForecast: null, netForecast: null,
+      incomeBand: null, expensesBand: null, netBand: null,
     }));
     // Bridge: duplicate the last actual point into forecast so lines connect
-    const bridge = monthlyData.length > 0 ? {
+    const lastActual = monthlyData[monthlyData.length - 1];
+    const bridge = lastActual ? {
       incomeActual: null, expensesActual: null, netActual: null,
-      incomeForecast: monthlyData[monthlyData.length - 1].income,
-      expensesForecast: monthlyData[monthlyData.length - 1].expenses,
-      netForecast: monthlyData[monthlyData.length - 1].net,
+      incomeForecast: lastActual.income,
+      expensesForecast: lastActual.expenses,
+      netForecast: lastActual.net,
+      // Bands widen out from the last known point
+      incomeBand: [lastActual.income, lastActual.income],
+      expensesBand: [lastActual.expenses, lastActual.expenses],
+      netBand: [lastActual.net, lastActual.net],
+      scenarios: Object.fromEntries(scenarioForecasts.map(s => [s.id, lastActual.net])),
     } : {};
     const lastActualIdx = actual.length - 1;
     if (lastActualIdx >= 0) Object.assign(actual[lastActualIdx], bridge);
 
-    const fc = forecast.map(d => ({
+    const fc = forecast.map((d, i) => ({
       ...d,
       incomeActual: null, expensesActual: null, netActual: null,
       incomeForecast: d.income, expensesForecast: d.expenses, netForecast: d.net,
+      incomeBand: [d.incomeLow, d.incomeHigh], expensesBand: [d.expensesLow, d.expensesHigh], netBand: [d.netLow, d.netHigh],
+      scenarios: Object.fromEntries(scenarioForecasts.map(s => [s.id, s.forecast[i].net])),
     }));
     return [...actual, ...fc];
-  }, [monthlyData, forecast]);
+  }, [monthlyData, forecast, scenarioForecasts]);
+
+  // Balance at the end of each forecast month: today's balance plus the projected net
+  // flow, with a band and a line per scenario. Starts from the last actual month.
+  const projectedBalance = useMemo(() => {
+    if (currentBalance === null || forecast.length === 0) return [];
+    const lastActual = monthlyData[monthlyData.length - 1];
+    const scenarioBalance = Object.fromEntries(scenarioForecasts.map(s => [s.id, currentBalance]));
+    const rows = [{ month: lastActual.month, label: lastActual.label, balance: currentBalance, band: [currentBalance, currentBalance], scenarios: { ...scenarioBalance } }];
+    let balance = currentBalance;
+    let variance = 0;
+    forecast.forEach((f, i) => {
+      balance += f.net;
+      // Each month's miss is taken as independent, so the spreads add in quadrature
+      variance += ((f.netHigh - f.netLow) / (2 * INTERVAL_Z)) ** 2;
+      const spread = INTERVAL_Z * Math.sqrt(variance);
+      for (const s of scenarioForecasts) scenarioBalance[s.id] += s.forecast[i].net;
+      rows.push({
+        month: f.month,
+        label: f.label,
+        balance: Math.round(balance),
+        band: [Math.round(balance - spread), Math.round(balance + spread)],
+        scenarios: { ...scenarioBalance },
+      });
+    });
+    return rows;
+  }, [currentBalance, forecast, monthlyData, scenarioForecasts]);
+
+  const lowBalanceMonth = projectedBalance.find(r => r.balance < calendarSettings.threshold);
 
   // ─── Re-categorize ──────────────────────────────────────────────────────
 
+  // Apply a change to some loaded transactions (by their merged ids) and write it back
+  // to the saved datasets they came from
+  const patchTransactions = useCallback((ids, patch) => {
+    const idSet = new Set(ids);
+    setTransactions(prev => prev.map(t => idSet.has(t.id) ? patch(t) : t));
+
+    const rawIds = {};
+    for (const t of transactions) {
+      if (!idSet.has(t.id) || !t.account) continue;
+      (rawIds[t.account] = rawIds[t.account] || new Set()).add(t.id.slice(t.account.length + 1));
+    }
+    const updated = savedDatasets
+      .filter(ds => rawIds[ds.name])
+      .map(ds => ({ ...ds, transactions: ds.transactions.map(t => rawIds[ds.name].has(String(t.id)) ? patch(t) : t) }));
+    if (updated.length === 0) return;
+    setSavedDatasets(prev => prev.map(ds => updated.find(u => u.name === ds.name) || ds));
+    if (user) updateDatasetsTransactions(user.uid, Object.fromEntries(updated.map(ds => [ds.name, ds.transactions])));
+  }, [transactions, savedDatasets, user]);
+
   const updateCategory = useCallback((id, newCat) => {
-    setTransactions(prev => {
-      const target = prev.find(t => t.id === id);
-      if (target) {
-        // Persist override keyed by lowercase description so future imports remember it
-        setCategoryOverrides(o => ({ ...o, [target.description.toLowerCase()]: newCat }));
-      }
-      return prev.map(t => t.id === id ? { ...t, category: newCat } : t);
+    const target = transactions.find(t => t.id === id);
+    if (!target) return;
+    // Persist override keyed by lowercase description so future imports remember it
+    setCategoryOverrides(o => ({ ...o, [target.description.toLowerCase()]: newCat }));
+    patchTransactions([id], t => ({ ...t, category: newCat }));
+  }, [transactions, patchTransactions]);
+
+  // Splits are stored on the transaction itself. Passing no parts removes the split.
+  const updateSplits = useCallback((id, splits) => {
+    patchTransactions([id], t => {
+      if (splits) return { ...t, splits };
+      const { splits: _removed, ...rest } = t;
+      return rest;
+    });
+  }, [patchTransactions]);
+
+  // Parts are edited as positive amounts and saved with the transaction's sign
+  const openSplitEditor = useCallback((id) => {
+    const t = transactions.find(x => x.id === id);
+    if (!t) return;
+    const parts = categoryParts(t).map(p => ({ category: p.category, amount: String(Math.abs(p.amount)) }));
+    setSplitEditor({ id, total: Math.abs(t.amount), sign: t.amount < 0 ? -1 : 1, currency: t.currency || baseCurrency, parts: parts.length > 1 ? parts : [...parts, { category: t.category, amount: "" }] });
+  }, [transactions, baseCurrency]);
+
+  const saveSplitEditor = useCallback(() => {
+    const { id, sign, parts } = splitEditor;
+    updateSplits(id, parts.map(p => ({ category: p.category, amount: sign * Math.round(parseFloat(p.amount) * 100) / 100 })));
+    setSplitEditor(null);
+  }, [splitEditor, updateSplits]);
+
+  // Linking a refund to its charge files it under the charge's category
+  const linkRefund = useCallback((refundId, charge) => {
+    patchTransactions([refundId], t => ({ ...t, refundOf: charge.id, category: charge.category }));
+    setRefundLinker(null);
+  }, [patchTransactions]);
+
+  const unlinkRefund = useCallback((refundId) => {
+    patchTransactions([refundId], t => {
+      const { refundOf: _removed, ...rest } = t;
+      return rest;
+    });
+  }, [patchTransactions]);
+
+  // ─── Transfers ──────────────────────────────────────────────────────────
+
+  // Loaded transactions grouped by transfer link, unconfirmed ones first
+  const transferGroups = useMemo(() => {
+    const groups = new Map();
+    for (const t of transactions) {
+      if (!t.transfer) continue;
+      if (!groups.has(t.transfer.id)) groups.set(t.transfer.id, []);
+      groups.get(t.transfer.id).push(t);
+    }
+    return [...groups.entries()]
+      .map(([id, members]) => ({ id, members, status: members.every(t => t.transfer.status === "confirmed") ? "confirmed" : "auto" }))
+      .sort((a, b) => (a.status === "auto" ? 0 : 1) - (b.status === "auto" ? 0 : 1) || b.members[0].date - a.members[0].date);
+  }, [transactions]);
+
+  // Transfer-like descriptions with no matching other side count as spending until the
+  // user says they're transfers
+  const transferSuggestions = useMemo(
+    () => transactions.filter(t => !t.transfer && !t.notTransfer && looksLikeTransfer(t.description)).sort((a, b) => b.date - a.date),
+    [transactions]
+  );
+  const transfersToReview = transferGroups.filter(g => g.status === "auto").length + transferSuggestions.length;
+
+  const confirmTransfer = useCallback((group) => {
+    patchTransactions(group.members.map(t => t.id), t => ({ ...t, transfer: { ...t.transfer, status: "confirmed" } }));
+  }, [patchTransactions]);
+
+  const acceptTransferSuggestion = useCallback((id) => {
+    patchTransactions([id], t => ({ ...t, transfer: { id: crypto.randomUUID(), status: "confirmed" } }));
+  }, [patchTransactions]);
+
+  const rejectTransferSuggestion = useCallback((id) => {
+    patchTransactions([id], t => ({ ...t, notTransfer: true }));
+  }, [patchTransactions]);
+
+  const unlinkTransfer = useCallback((group) => {
+    patchTransactions(group.members.map(t => t.id), t => {
+      const { transfer: _removed, ...rest } = t;
+      return { ...rest, notTransfer: true };
     });
+  }, [patchTransactions]);
+
+  // Look for transfers across every saved dataset, e.g. after importing the other account
+  const detectTransfers = useCallback(() => {
+    const linked = linkTransfers(savedDatasets);
+    const changed = linked.filter((ds, i) => ds !== savedDatasets[i]);
+    if (changed.length === 0) return;
+    setSavedDatasets(linked);
+    const links = new Map(changed.flatMap(ds => ds.transactions.map(t => [`${ds.name}:${t.id}`, t.transfer])));
+    setTransactions(prev => prev.map(t => {
+      if (!links.has(t.id)) return t;
+      const { transfer: _old, ...rest } = t;
+      return links.get(t.id) ? { ...rest, transfer: links.get(t.id) } : rest;
+    }));
+    if (user) updateDatasetsTransactions(user.uid, Object.fromEntries(changed.map(ds => [ds.name, ds.transactions])));
+  }, [savedDatasets, user]);
+
+  // Run the rules over every saved dataset. Exact-description overrides still win, and
+  // transactions no rule matches keep the category they have. Split transactions are
+  // left alone: rules see the whole transaction, so they can't say where each part goes.
+  const recategorizeAll = useCallback(() => {
+    const ruled = (t, dataset) => categoryOverrides[t.description.toLowerCase()] || applyRules(categoryRules, t, dataset) || t.category;
+    const recategorize = (t, dataset) => t.splits ? t.category : ruled(t, dataset);
+    let changed = 0;
+    let splitsSkipped = 0;
+    const updated = [];
+    for (const ds of savedDatasets) {
+      let dsChanged = false;
+      const txs = ds.transactions.map(t => {
+        if (t.splits && ruled(t, ds.name) !== t.category) splitsSkipped++;
+        const category = recategorize(t, ds.name);
+        if (category === t.category) return t;
+        changed++;
+        dsChanged = true;
+        return { ...t, category };
+      });
+      if (dsChanged) updated.push({ ...ds, transactions: txs });
+    }
+
+    setTransactions(prev => prev.map(t => {
+      const category = recategorize(t, t.account || "");
+      return category === t.category ? t : { ...t, category };
+    }));
+    if (updated.length > 0) {
+      setSavedDatasets(prev => prev.map(ds => updated.find(u => u.name === ds.name) || ds));
+      if (user) updateDatasetsTransactions(user.uid, Object.fromEntries(updated.map(ds => [ds.name, ds.transactions])));
+    }
+    setRulesResult(`${changed} transaction${changed === 1 ? "" : "s"} re-categorized across ${updated.length} dataset${updated.length === 1 ? "" : "s"}`
+      + (splitsSkipped > 0 ? ` · ${splitsSkipped} split transaction${splitsSkipped === 1 ? "" : "s"} left as split` : ""));
+  }, [savedDatasets, categoryOverrides, categoryRules, user]);
+
+  const updateRule = useCallback((id, fields) => {
+    setCategoryRules(prev => prev.map(r => r.id === id ? { ...r, ...fields } : r));
+    setRulesResult("");
   }, []);
 
+  const moveRule = useCallback((index, delta) => {
+    setCategoryRules(prev => {
+      const next = [...prev];
+      const [rule] = next.splice(index, 1);
+      next.splice(Math.max(0, Math.min(prev.length - 1, index + delta)), 0, rule);
+      return next;
+    });
+  }, []);
+
+  // ─── Categories ─────────────────────────────────────────────────────────
+
+  const categoryCounts = useMemo(() => {
+    const counts = {};
+    for (const t of transactions) {
+      for (const c of new Set(categoryParts(t).map(p => p.category))) counts[c] = (counts[c] || 0) + 1;
+    }
+    return counts;
+  }, [transactions]);
+
+  // Renaming, merging and deleting all move every use of one name to another: loaded
+  // and saved transactions, overrides, rules and budgets (in every version and template).
+  // A merged budget is added to the target's; a deleted category's budget is dropped.
+  const reassignCategory = useCallback((from, to, { dropBudget = false } = {}) => {
+    const uses = t => categoryParts(t).some(p => p.category === from);
+    const swap = t => !uses(t) ? t : {
+      ...t,
+      category: t.category === from ? to : t.category,
+      ...(t.splits ? { splits: t.splits.map(p => p.category === from ? { ...p, category: to } : p) } : {}),
+    };
+    setTransactions(prev => prev.map(swap));
+    const updated = savedDatasets
+      .filter(ds => ds.transactions.some(uses))
+      .map(ds => ({ ...ds, transactions: ds.transactions.map(swap) }));
+    if (updated.length > 0) {
+      setSavedDatasets(prev => prev.map(ds => updated.find(u => u.name === ds.name) || ds));
+      if (user) updateDatasetsTransactions(user.uid, Object.fromEntries(updated.map(ds => [ds.name, ds.transactions])));
+    }
+    setCategoryOverrides(prev => Object.fromEntries(Object.entries(prev).map(([d, c]) => [d, c === from ? to : c])));
+    setCategoryRules(prev => prev.map(r => r.category === from ? { ...r, category: to } : r));
+    const moveBudget = budgets => {
+      if (!(from in budgets)) return budgets;
+      const { [from]: moved, ...rest } = budgets;
+      if (dropBudget) return rest;
+      const target = rest[to];
+      // Merged budgets add up in the target's period
+      return { ...rest, [to]: target ? { ...target, amount: target.amount + convertBudget(moved, target.period) } : moved };
+    };
+    setBudgetVersions(prev => prev.map(v => ({ ...v, budgets: moveBudget(v.budgets) })));
+    setBudgetTemplates(prev => prev.map(t => ({ ...t, budgets: moveBudget(t.budgets) })));
+    // Money in a deleted category's envelope goes back to be assigned again
+    setEnvelopeSettings(prev => ({
+      ...prev,
+      allocations: Object.fromEntries(Object.entries(prev.allocations).map(([m, assigned]) => {
+        if (!(from in assigned)) return [m, assigned];
+        const { [from]: moved, ...rest } = assigned;
+        return [m, dropBudget ? rest : { ...rest, [to]: (rest[to] || 0) + moved }];
+      })),
+    }));
+  }, [savedDatasets, user]);
+
+  // Names are unique regardless of case; returns false when the name can't be used
+  const nameTaken = useCallback((name, except = "") => (
+    categories.some(c => c.name !== except && c.name.toLowerCase() === name.toLowerCase())
+  ), [categories]);
+
+  const addCategory = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed || nameTaken(trimmed)) return false;
+    const color = CATEGORY_PALETTE[categories.length % CATEGORY_PALETTE.length];
+    setCategories(prev => [...prev, { name: trimmed, color, keys: [] }]);
+    return true;
+  }, [categories, nameTaken]);
+
+  const renameCategory = useCallback((from, name) => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === from || nameTaken(trimmed, from)) return false;
+    setCategories(prev => prev.map(c => (
+      c.name === from ? { ...c, name: trimmed } : c.parent === from ? { ...c, parent: trimmed } : c
+    )));
+    reassignCategory(from, trimmed);
+    return true;
+  }, [nameTaken, reassignCategory]);
+
+  // Merge and delete-with-reassignment both fold `from` into `into`, keywords included.
+  // Subcategories of `from` move under `into` when it can be a parent, else to the top.
+  const removeCategory = useCallback((from, into, { dropBudget = false } = {}) => {
+    if (from === into) return;
+    setCategories(prev => {
+      const gone = prev.find(c => c.name === from);
+      const target = prev.find(c => c.name === into);
+      const intoIsTop = !target?.parent || target.parent === from;
+      return prev
+        .filter(c => c.name !== from)
+        .map(c => {
+          if (c.name === into) return { ...c, keys: [...c.keys, ...(gone ? gone.keys : [])], parent: intoIsTop ? "" : c.parent || "" };
+          if (c.parent === from) return { ...c, parent: intoIsTop ? into : "" };
+          return c;
+        });
+    });
+    reassignCategory(from, into, { dropBudget });
+    setEditingCategory(null);
+  }, [reassignCategory]);
+
+  // How many of the loaded transactions each rule currently claims (first match wins)
+  const ruleMatchCounts = useMemo(() => {
+    const counts = {};
+    for (const t of transactions) {
+      const rule = categoryRules.find(r => ruleMatches(r, t, t.account || ""));
+      if (rule) counts[rule.id] = (counts[rule.id] || 0) + 1;
+    }
+    return counts;
+  }, [transactions, categoryRules]);
+
   // ─── Styles ──────────────────────────────────────────────────────────────
 
   const styles = {
@@ -533,30 +2189,384 @@ export default function CashFlowApp() {
     }),
   };
 
-  const customTooltip = { contentStyle: { background: CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: "10px 14px", fontSize: 13, color: TEXT }, cursor: { stroke: ACCENT, strokeDasharray: "4 4" } };
+  const customTooltip = { contentStyle: { background: CARD, border: `1px solid ${BORDER}`, borderRadius: 12, padding: "10px 14px", fontSize: 13, color: TEXT }, cursor: { stroke: ACCENT, strokeDasharray: "4 4" } };
+
+  // Inline editor shown under a transaction row while it is being split
+  const renderSplitEditor = (t) => {
+    const allocated = splitEditor.parts.reduce((s, p) => s + (parseFloat(p.amount) || 0), 0);
+    const remaining = Math.round((splitEditor.total - allocated) * 100) / 100;
+    const valid = splitEditor.parts.length >= 2 && remaining === 0 && splitEditor.parts.every(p => parseFloat(p.amount) > 0);
+    const setPart = (i, fields) => setSplitEditor(se => ({ ...se, parts: se.parts.map((p, j) => j === i ? { ...p, ...fields } : p) }));
+    return (
+      <tr style={{ borderBottom: `1px solid ${BORDER}`, background: CARD2 }}>
+        <td colSpan={hasBalances ? 6 : 5} style={{ padding: "12px 16px" }}>
+          {splitEditor.parts.map((p, i) => (
+            <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+              <select value={p.category} onChange={e => setPart(i, { category: e.target.value })} style={{ ...styles.select, padding: "6px 8px", fontSize: 12, color: colorOf(p.category) }}>
+                {categoryOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={p.amount}
+                onChange={e => setPart(i, { amount: e.target.value })}
+                style={{ ...styles.input, width: 120, padding: "6px 8px" }}
+              />
+              {splitEditor.parts.length > 2 && (
+                <button onClick={() => setSplitEditor(se => ({ ...se, parts: se.parts.filter((_, j) => j !== i) }))} style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }}>×</button>
+              )}
+            </div>
+          ))}
+          <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12 }}>
+            <button
+              onClick={() => setSplitEditor(se => ({ ...se, parts: [...se.parts, { category: fallbackCategory(categories), amount: remaining > 0 ? String(remaining) : "" }] }))}
+              style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}
+            >+ Add Part</button>
+            <span style={{ color: remaining === 0 ? ACCENT : "#fbbf24" }}>
+              {remaining === 0 ? "✓ Parts add up" : `${fmtFull(remaining, splitEditor.currency)} ${remaining > 0 ? "left to assign" : "over the total"}`}
+            </span>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+              {t.splits && (
+                <button onClick={() => { updateSplits(t.id, null); setSplitEditor(null); }} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>Remove Split</button>
+              )}
+              <button onClick={() => setSplitEditor(null)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>Cancel</button>
+              <button onClick={saveSplitEditor} disabled={!valid} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 12px", opacity: valid ? 1 : 0.5 }}>Save Split</button>
+            </div>
+          </div>
+        </td>
+      </tr>
+    );
+  };
+
+  // Inline list of charges a refund could reverse, shown under the refund's row
+  const renderRefundLinker = (t) => {
+    const original = t.refundOf && ledger.find(x => x.id === t.refundOf);
+    const candidates = refundCandidates(t, ledger).filter(c => c.id !== t.refundOf);
+    const chargeRow = (c, action) => (
+      <div key={c.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "4px 0", fontSize: 12 }}>
+        <span style={{ color: MUTED, width: 80 }}>{c.date.toLocaleDateString()}</span>
+        <span style={{ color: ACCENT2, width: 140, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.account || "—"}</span>
+        <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{c.description}</span>
+        <span style={styles.badge(colorOf(c.category))}>{c.category}</span>
+        <span style={{ fontWeight: 600, color: "#f87171", width: 90, textAlign: "right" }}>{fmtFull(c.amount, baseCurrency)}</span>
+        {action}
+      </div>
+    );
+    return (
+      <tr style={{ borderBottom: `1px solid ${BORDER}`, background: CARD2 }}>
+        <td colSpan={hasBalances ? 6 : 5} style={{ padding: "12px 16px" }}>
+          {original && (
+            <div style={{ marginBottom: 8 }}>
+              <div style={{ fontSize: 11, color: MUTED, marginBottom: 4 }}>Refund of</div>
+              {chargeRow(original, <button onClick={() => unlinkRefund(t.id)} style={{ ...styles.btn(), fontSize: 11, padding: "4px 10px" }}>Unlink</button>)}
+            </div>
+          )}
+          <div style={{ fontSize: 11, color: MUTED, marginBottom: 4 }}>{candidates.length > 0 ? "Possible original charges" : "No matching charge in the loaded transactions"}</div>
+          {candidates.map(c => chargeRow(c, <button onClick={() => linkRefund(t.id, c)} style={{ ...styles.btn("primary"), fontSize: 11, padding: "4px 10px" }}>Link</button>))}
+        </td>
+      </tr>
+    );
+  };
+
+  // Day cells of the month on screen, padded so the 1st falls under its weekday
+  const renderCalendarCells = () => {
+    const first = parseDayKey(`${calendarMonth}-01`);
+    const count = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    const today = dayKey(new Date());
+    const cells = Array.from({ length: first.getDay() }, (_, i) => <div key={`blank-${i}`} />);
+    for (let n = 1; n <= count; n++) {
+      const key = `${calendarMonth}-${String(n).padStart(2, "0")}`;
+      const day = calendarDays[key];
+      const low = day && day.balance < calendarSettings.threshold;
+      cells.push(
+        <div key={key} style={{
+          background: day ? CARD2 : "transparent", borderRadius: 8, padding: 6, minHeight: 92,
+          border: `1px solid ${key === today ? ACCENT : low ? "#f8717166" : BORDER}`,
+          opacity: day ? 1 : 0.4, display: "flex", flexDirection: "column", gap: 3,
+        }}>
+          <span style={{ fontSize: 11, fontWeight: 700, color: key === today ? ACCENT : MUTED }}>{n}</span>
+          {day && day.items.map((e, i) => (
+            <span key={i} title={`${e.description}${e.scheduled ? " (scheduled)" : " (expected)"}`} style={{
+              fontSize: 10, padding: "2px 4px", borderRadius: 4, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+              background: e.amount >= 0 ? `${ACCENT}22` : "#f8717122", color: e.amount >= 0 ? ACCENT : "#f87171",
+              fontStyle: e.scheduled ? "normal" : "italic",
+            }}>
+              {fmt(Math.abs(e.amount), baseCurrency)} {e.description}
+            </span>
+          ))}
+          {day && (
+            <span style={{ marginTop: "auto", fontSize: 11, fontWeight: 600, textAlign: "right", color: low ? "#f87171" : TEXT }}>
+              {fmt(day.balance, baseCurrency)}
+            </span>
+          )}
+        </div>
+      );
+    }
+    return cells;
+  };
+
+  // Adjustments of the scenario being edited, with a row to add another
+  const renderScenarioEditor = () => {
+    const scenario = scenarios.find(s => s.id === editingScenario);
+    if (!scenario) return null;
+    const kind = SCENARIO_ADJUSTMENTS.find(k => k.id === newAdjustment.type);
+    return (
+      <div style={{ background: CARD2, borderRadius: 12, padding: 16, marginTop: 16 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12 }}>
+          <input
+            value={scenario.name}
+            onChange={e => updateScenario(scenario.id, s => ({ ...s, name: e.target.value }))}
+            style={{ ...styles.input, width: 260, fontWeight: 700 }}
+          />
+          <button onClick={() => setEditingScenario(null)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px", marginLeft: "auto" }}>Done</button>
+        </div>
+        {scenario.adjustments.length === 0 && <p style={{ fontSize: 13, color: MUTED, marginBottom: 8 }}>No changes yet — this scenario matches the baseline.</p>}
+        {scenario.adjustments.map(a => (
+          <div key={a.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "8px 0", borderTop: `1px solid ${BORDER}`, fontSize: 13 }}>
+            <span style={{ color: MUTED, width: 110 }}>{SCENARIO_ADJUSTMENTS.find(k => k.id === a.type)?.label}</span>
+            <span style={{ flex: 1 }}>{a.label || <span style={{ color: MUTED }}>—</span>}</span>
+            <span style={{ fontWeight: 600 }}>{describeAdjustment(a, baseCurrency)}</span>
+            <button
+              onClick={() => updateScenario(scenario.id, s => ({ ...s, adjustments: s.adjustments.filter(x => x.id !== a.id) }))}
+              style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }}
+              title="Remove"
+            >×</button>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 12 }}>
+          <select value={newAdjustment.type} onChange={e => setNewAdjustment(a => ({ ...a, type: e.target.value }))} style={styles.select}>
+            {SCENARIO_ADJUSTMENTS.map(k => <option key={k.id} value={k.id}>{k.label}</option>)}
+          </select>
+          <input placeholder="Note (e.g. Rent increase)" value={newAdjustment.label} onChange={e => setNewAdjustment(a => ({ ...a, label: e.target.value }))} style={{ ...styles.input, width: 180 }} />
+          <input type="month" value={newAdjustment.month} onChange={e => setNewAdjustment(a => ({ ...a, month: e.target.value }))} style={{ ...styles.input, width: 150 }} title={newAdjustment.type === "once" ? "Month" : "Starting month (blank for now)"} />
+          {newAdjustment.type === "category" && (
+            <select value={newAdjustment.category} onChange={e => setNewAdjustment(a => ({ ...a, category: e.target.value }))} style={styles.select}>
+              <option value="">Category…</option>
+              {categories.filter(c => !c.parent && !incomeCategories.has(c.name)).map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+            </select>
+          )}
+          <input type="number" step="0.01" placeholder={kind.amountHint} value={newAdjustment.value} onChange={e => setNewAdjustment(a => ({ ...a, value: e.target.value }))} style={{ ...styles.input, width: 140 }} />
+          <button onClick={addAdjustment} style={{ ...styles.btn("primary"), fontSize: 13, padding: "8px 16px" }}>+ Add</button>
+        </div>
+      </div>
+    );
+  };
+
+  // Budget vs. actual for every top-level category in every month of history, judged
+  // against the budgets each month actually had
+  const renderBudgetHistory = () => {
+    const monthSpan = m => {
+      const start = parseDayKey(`${m}-01`);
+      return { start, end: new Date(start.getFullYear(), start.getMonth() + 1, 0) };
+    };
+    const limitIn = (cat, m) => {
+      const own = budgetFor(cat.name, monthSpan(m));
+      if (own) return own.limit;
+      const fromChildren = cat.children.map(c => budgetFor(c.name, monthSpan(m))).filter(Boolean);
+      return fromChildren.length ? fromChildren.reduce((s, b) => s + b.limit, 0) : null;
+    };
+    const rows = budgetCategories.filter(cat => months.some(m => limitIn(cat, m) !== null || spentByMonth[cat.name]?.[m]));
+    const starts = new Set(budgetVersions.map(v => v.from));
+    const cell = { padding: "8px 10px", textAlign: "right", whiteSpace: "nowrap", borderBottom: `1px solid ${BORDER}` };
+    return (
+      <div style={{ ...styles.card, marginBottom: 24 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+          <h3 style={{ fontSize: 15, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Budget History</h3>
+          <button onClick={() => setShowBudgetHistory(false)} style={{ ...styles.btn(), fontSize: 11, padding: "4px 10px" }}>Close</button>
+        </div>
+        {rows.length === 0 ? (
+          <p style={{ fontSize: 13, color: MUTED }}>Nothing budgeted or spent yet.</p>
+        ) : (
+          <div style={{ overflow: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cell, textAlign: "left", color: MUTED, position: "sticky", left: 0, background: CARD }}>Category</th>
+                  {months.map(m => (
+                    <th key={m} style={{ ...cell, color: starts.has(m) ? ACCENT2 : MUTED, fontWeight: 600 }} title={starts.has(m) ? "Budgets changed this month" : undefined}>
+                      {monthLabel(m)}{starts.has(m) ? " •" : ""}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(cat => (
+                  <tr key={cat.name}>
+                    <td style={{ ...cell, textAlign: "left", fontWeight: 600, position: "sticky", left: 0, background: CARD }}>
+                      <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, background: colorOf(cat.name), marginRight: 8 }} />
+                      {cat.name}
+                    </td>
+                    {months.map(m => {
+                      const spent = spentByMonth[cat.name]?.[m] || 0;
+                      const limit = limitIn(cat, m);
+                      const over = limit !== null && spent > limit;
+                      return (
+                        <td key={m} style={{ ...cell, background: limit === null ? "transparent" : over ? "#f8717114" : `${ACCENT}10` }}>
+                          <div style={{ fontWeight: 600, color: over ? "#f87171" : TEXT }}>{fmt(spent, baseCurrency)}</div>
+                          <div style={{ fontSize: 11, color: MUTED }}>{limit === null ? "—" : `of ${fmt(limit, baseCurrency)}`}</div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {budgetVersions.length > 0 && (
+          <div style={{ marginTop: 16, fontSize: 12 }}>
+            <div style={{ color: MUTED, marginBottom: 6 }}>Budget changes</div>
+            {budgetVersions.map(v => (
+              <div key={v.from} style={{ display: "flex", alignItems: "center", gap: 12, padding: "6px 0", borderTop: `1px solid ${BORDER}` }}>
+                <span style={{ width: 140 }}>From {v.from ? monthLabel(v.from) : "the beginning"}</span>
+                <span style={{ color: MUTED, flex: 1 }}>{Object.keys(v.budgets).length} budget{Object.keys(v.budgets).length === 1 ? "" : "s"}</span>
+                <button
+                  onClick={() => setBudgetVersions(prev => prev.filter(x => x.from !== v.from))}
+                  style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }}
+                  title="Remove this change — the months fall back to the budgets before it"
+                >×</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Zero-based envelopes for the month on screen: what's left to assign, then every
+  // envelope's carried, assigned, spent and available money
+  const renderEnvelopes = () => {
+    const { income, toAssign, unallocated, envelopes } = envelopeMonth;
+    const assigned = toAssign - unallocated;
+    const left = Math.round(unallocated * 100) / 100;
+    const leftColor = left > 0 ? ACCENT : left < 0 ? "#f87171" : MUTED;
+    const label = { color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" };
+    const cell = { padding: "10px 12px", textAlign: "right", borderBottom: `1px solid ${BORDER}`, whiteSpace: "nowrap" };
+    const donors = envelopeNames.filter(n => envelopes[n].balance > 0);
+    return (
+      <>
+        <p style={{ color: MUTED, fontSize: 13, marginTop: -12, marginBottom: 16 }}>
+          Envelopes for {monthLabel(budgetMonth)} — give every {baseCurrency} of income a job. Whatever's left in an envelope carries into next month.
+          {monthKey(budgetSpan.end) !== budgetMonth && " Envelopes run a month at a time, so only the first month of the range is shown."}
+        </p>
+
+        <div style={{ display: "flex", gap: 16, marginBottom: 24, flexWrap: "wrap" }}>
+          <div style={styles.statCard(leftColor)}>
+            <div style={label}>Left to Assign</div>
+            <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: leftColor }}>{fmt(left, baseCurrency)}</div>
+            <div style={{ fontSize: 11, color: MUTED, marginTop: 4 }}>
+              {left > 0 ? "Assign it to an envelope" : left < 0 ? "More assigned than there is — take some back" : "Every dollar has a job"}
+            </div>
+          </div>
+          <div style={styles.statCard(ACCENT)}>
+            <div style={label}>Income</div>
+            <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: ACCENT }}>{fmt(income, baseCurrency)}</div>
+            {Math.abs(toAssign - income) > 0.005 && (
+              <div style={{ fontSize: 11, color: MUTED, marginTop: 4 }}>
+                {toAssign > income ? `plus ${fmt(toAssign - income, baseCurrency)} unassigned from earlier months` : `less ${fmt(income - toAssign, baseCurrency)} to cover earlier overspending`}
+              </div>
+            )}
+          </div>
+          <div style={styles.statCard(ACCENT2)}>
+            <div style={label}>Assigned</div>
+            <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: ACCENT2 }}>{fmt(assigned, baseCurrency)}</div>
+          </div>
+        </div>
+
+        <div style={{ ...styles.card, overflow: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr>
+                {["Envelope", "Carried Over", "Assigned", "Spent", "Available", ""].map((h, i) => (
+                  <th key={h || i} style={{ ...cell, textAlign: i === 0 ? "left" : "right", color: MUTED, fontSize: 12, fontWeight: 600 }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {envelopeNames.map(name => {
+                const e = envelopes[name];
+                const overspent = e.balance < -0.005;
+                return (
+                  <tr key={name}>
+                    <td style={{ ...cell, textAlign: "left", fontWeight: 600 }}>
+                      <span style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, background: colorOf(name), marginRight: 8 }} />
+                      {name}
+                    </td>
+                    <td style={{ ...cell, color: MUTED }}>{e.carried ? fmt(e.carried, baseCurrency) : "—"}</td>
+                    <td style={cell}>
+                      <input
+                        key={`${budgetMonth}:${e.allocated}`}
+                        type="number"
+                        defaultValue={e.allocated || ""}
+                        placeholder="0"
+                        onBlur={ev => { const v = parseFloat(ev.target.value) || 0; if (v !== e.allocated) setAllocation(name, v); }}
+                        onKeyDown={ev => ev.key === "Enter" && ev.target.blur()}
+                        style={{ ...styles.input, width: 110, textAlign: "right", padding: "6px 8px" }}
+                      />
+                    </td>
+                    <td style={{ ...cell, color: e.spent ? TEXT : MUTED }}>{fmt(e.spent, baseCurrency)}</td>
+                    <td style={cell}>
+                      <span style={styles.badge(overspent ? "#f87171" : e.balance > 0 ? ACCENT : MUTED)}>{fmt(e.balance, baseCurrency)}</span>
+                    </td>
+                    <td style={cell}>
+                      {overspent && (left > 0 || donors.length > 0) && (
+                        <select
+                          value=""
+                          onChange={ev => ev.target.value && coverOverspending(name, ev.target.value === "(unassigned)" ? "" : ev.target.value)}
+                          style={{ ...styles.select, padding: "6px 8px", fontSize: 12 }}
+                        >
+                          <option value="">Cover from…</option>
+                          {left > 0 && <option value="(unassigned)">Left to assign ({fmt(left, baseCurrency)})</option>}
+                          {donors.map(d => <option key={d} value={d}>{d} ({fmt(envelopes[d].balance, baseCurrency)})</option>)}
+                        </select>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p style={{ fontSize: 12, color: MUTED, marginTop: 12 }}>
+            Overspending that isn't covered from another envelope comes out of next month's money to assign.
+          </p>
+        </div>
+      </>
+    );
+  };
 
-  // ─── Helper: load a saved dataset ──────────────────────────────────────
+  // ─── Helper: load one or more saved datasets as a single ledger ────────
 
-  const loadSavedDataset = useCallback((ds) => {
-    setTransactions(ds.transactions);
-    setActiveDatasetName(ds.name);
+  const loadSavedDatasets = useCallback((list) => {
+    const merged = mergeDatasets(list);
+    setTransactions(merged);
+    setActiveDatasetNames(list.map(ds => ds.name));
+    setSelectedDatasetNames([]);
+    setAccountFilter("");
     setView("dashboard");
-    if (ds.transactions.length > 0) {
-      const sorted = [...ds.transactions].sort((a, b) => b.date - a.date);
+    if (merged.length > 0) {
+      const sorted = [...merged].sort((a, b) => b.date - a.date);
       setSelectedMonth(monthKey(sorted[0].date));
     }
   }, []);
 
+  const toggleDatasetSelection = useCallback((dsName) => {
+    setSelectedDatasetNames(prev => prev.includes(dsName) ? prev.filter(n => n !== dsName) : [...prev, dsName]);
+  }, []);
+
   const handleDeleteDataset = useCallback((dsName) => {
     if (!user) return;
     setSavedDatasets(prev => prev.filter(d => d.name !== dsName));
+    setSelectedDatasetNames(prev => prev.filter(n => n !== dsName));
     deleteDataset(user.uid, dsName);
-    if (activeDatasetName === dsName) {
-      setTransactions([]);
-      setActiveDatasetName(null);
-      setView("upload");
+    if (activeDatasetNames.includes(dsName)) {
+      const remaining = activeDatasetNames.filter(n => n !== dsName);
+      setTransactions(prev => prev.filter(t => t.account !== dsName));
+      setActiveDatasetNames(remaining);
+      if (accountFilter === dsName) setAccountFilter("");
+      if (remaining.length === 0) setView("upload");
     }
-  }, [user, activeDatasetName]);
+  }, [user, activeDatasetNames, accountFilter]);
 
   // ─── Auth loading ──────────────────────────────────────────────────────
 
@@ -619,6 +2629,68 @@ export default function CashFlowApp() {
     );
   }
 
+  // ─── Duplicate Review ──────────────────────────────────────────────────
+
+  if (duplicateReview) {
+    const { rows, flags } = duplicateReview;
+    const skipped = flags.filter(f => f.action !== "keep").length;
+    return (
+      <div style={styles.app}>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "center", minHeight: "100vh", padding: 24 }}>
+          <div style={{ ...styles.card, maxWidth: 760, width: "100%" }}>
+            <h2 style={{ fontSize: 22, fontWeight: 700, fontFamily: "'Outfit', sans-serif", marginBottom: 4 }}>Review Possible Duplicates</h2>
+            <p style={{ color: MUTED, fontSize: 13, marginBottom: 20 }}>
+              {flags.length} of {rows.length} rows match a transaction with the same date and amount and a similar description.
+              Keep imports the row anyway, Skip drops it, and Merge folds it into the existing transaction.
+            </p>
+
+            <div style={{ maxHeight: 420, overflow: "auto", borderRadius: 8, border: `1px solid ${BORDER}`, marginBottom: 20 }}>
+              <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+                <thead>
+                  <tr>
+                    {["Date", "Amount", "Incoming", "Matches", "Action"].map(h => (
+                      <th key={h} style={{ padding: "8px 10px", background: CARD2, textAlign: "left", color: MUTED, fontWeight: 600, position: "sticky", top: 0 }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {flags.map(f => {
+                    const row = rows[f.index];
+                    return (
+                      <tr key={f.index}>
+                        <td style={{ padding: "8px 10px", borderTop: `1px solid ${BORDER}`, color: MUTED, whiteSpace: "nowrap" }}>{row.date.toLocaleDateString()}</td>
+                        <td style={{ padding: "8px 10px", borderTop: `1px solid ${BORDER}`, fontWeight: 600, color: row.amount >= 0 ? ACCENT : "#f87171" }}>{fmtFull(row.amount, baseCurrency)}</td>
+                        <td style={{ padding: "8px 10px", borderTop: `1px solid ${BORDER}` }}>{row.description}</td>
+                        <td style={{ padding: "8px 10px", borderTop: `1px solid ${BORDER}` }}>
+                          <div>{f.match.description}</div>
+                          <div style={{ fontSize: 11, color: ACCENT2 }}>{f.dataset ? `in ${f.dataset}` : "earlier in this file"}</div>
+                        </td>
+                        <td style={{ padding: "8px 10px", borderTop: `1px solid ${BORDER}` }}>
+                          <select value={f.action} onChange={e => setDuplicateAction(f.index, e.target.value)} style={{ ...styles.select, fontSize: 12, padding: "4px 8px" }}>
+                            <option value="keep">Keep</option>
+                            <option value="skip">Skip</option>
+                            <option value="merge">Merge</option>
+                          </select>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{ display: "flex", gap: 12 }}>
+              <button onClick={() => setDuplicateReview(null)} style={styles.btn()}>{showMapper ? "← Back to Mapping" : "← Cancel"}</button>
+              <button onClick={resolveDuplicates} style={{ ...styles.btn("primary"), flex: 1 }}>
+                Import {rows.length - skipped} Transactions →
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // ─── Upload View ─────────────────────────────────────────────────────────
 
   if (view === "upload" && !showMapper) {
@@ -647,30 +2719,69 @@ export default function CashFlowApp() {
                   {savedDatasets.map(ds => (
                     <div key={ds.name} style={{
                       ...styles.card, padding: "14px 20px", display: "flex", alignItems: "center", justifyContent: "space-between",
-                      cursor: "pointer", transition: "all 0.2s", textAlign: "left"
+                      cursor: "pointer", transition: "all 0.2s", textAlign: "left",
+                      borderColor: selectedDatasetNames.includes(ds.name) ? ACCENT : BORDER
                     }}
-                      onClick={() => loadSavedDataset(ds)}
+                      onClick={() => loadSavedDatasets([ds])}
                     >
-                      <div>
-                        <div style={{ fontWeight: 600, fontSize: 14 }}>{ds.name}</div>
-                        <div style={{ fontSize: 11, color: MUTED }}>
-                          {ds.transactions.length} transactions · uploaded {new Date(ds.uploadedAt).toLocaleDateString()}
+                      <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+                        <input
+                          type="checkbox"
+                          checked={selectedDatasetNames.includes(ds.name)}
+                          onClick={e => e.stopPropagation()}
+                          onChange={() => toggleDatasetSelection(ds.name)}
+                          title="Select to combine with other datasets"
+                          style={{ accentColor: ACCENT, cursor: "pointer" }}
+                        />
+                        <div>
+                          <div style={{ fontWeight: 600, fontSize: 14 }}>{ds.name}</div>
+                          <div style={{ fontSize: 11, color: MUTED }}>
+                            {ds.transactions.length} transactions · uploaded {new Date(ds.uploadedAt).toLocaleDateString()}
+                            {ds.imports?.length > 0 && (
+                              <span
+                                onClick={e => { e.stopPropagation(); setExpandedHistory(expandedHistory === ds.name ? null : ds.name); }}
+                                style={{ color: ACCENT2, cursor: "pointer" }}
+                              > · {ds.imports.length} import{ds.imports.length === 1 ? "" : "s"} {expandedHistory === ds.name ? "▴" : "▾"}</span>
+                            )}
+                          </div>
+                          {expandedHistory === ds.name && (
+                            <div style={{ marginTop: 8, fontSize: 11, color: MUTED }}>
+                              {ds.imports.map((imp, i) => (
+                                <div key={i} style={{ display: "flex", gap: 10, padding: "3px 0" }}>
+                                  <span style={{ color: TEXT }}>{imp.fileName}</span>
+                                  <span>{new Date(imp.importedAt).toLocaleDateString()}</span>
+                                  <span style={{ color: ACCENT }}>+{imp.added}</span>
+                                  {imp.skipped > 0 && <span>{imp.skipped} skipped</span>}
+                                  {imp.failed > 0 && <span style={{ color: "#f87171" }}>{imp.failed} unreadable</span>}
+                                </div>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       </div>
                       <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-                        <button onClick={(e) => { e.stopPropagation(); loadSavedDataset(ds); }} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 14px" }}>Open</button>
+                        <button onClick={(e) => { e.stopPropagation(); loadSavedDatasets([ds]); }} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 14px" }}>Open</button>
                         <button onClick={(e) => { e.stopPropagation(); handleDeleteDataset(ds.name); }} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px", color: "#f87171" }}>×</button>
                       </div>
                     </div>
                   ))}
                 </div>
+                {savedDatasets.length > 1 && (
+                  <button
+                    onClick={() => loadSavedDatasets(savedDatasets.filter(ds => selectedDatasetNames.includes(ds.name)))}
+                    disabled={selectedDatasetNames.length < 2}
+                    style={{ ...styles.btn("primary"), marginTop: 12, width: "100%", opacity: selectedDatasetNames.length < 2 ? 0.4 : 1 }}
+                  >
+                    {selectedDatasetNames.length < 2 ? "Select two or more to view combined" : `Open ${selectedDatasetNames.length} Combined →`}
+                  </button>
+                )}
                 <div style={{ margin: "24px 0 8px", color: MUTED, fontSize: 13 }}>— or upload a new file —</div>
               </div>
             )}
 
             {savedDatasets.length === 0 && (
               <p style={{ color: MUTED, fontSize: 16, marginBottom: 40, lineHeight: 1.6 }}>
-                Drop your bank statement CSV or Excel file to instantly visualize your spending, track income vs. expenses, and forecast your financial future.
+                Drop your bank statement CSV, Excel, PDF or OFX file to instantly visualize your spending, track income vs. expenses, and forecast your financial future.
               </p>
             )}
 
@@ -688,15 +2799,36 @@ export default function CashFlowApp() {
             >
               <div style={{ fontSize: 40, marginBottom: 16, opacity: 0.7 }}>📄</div>
               <p style={{ fontWeight: 600, fontSize: 16, marginBottom: 6 }}>
-                {dragOver ? "Drop it here!" : "Drag & drop your CSV or Excel file"}
+                {dragOver ? "Drop it here!" : "Drag & drop your bank statement or export"}
               </p>
-              <p style={{ color: MUTED, fontSize: 13 }}>or click to browse — supports .csv, .xlsx, .xls and most bank export formats</p>
-              <input ref={fileRef} type="file" accept=".csv,.tsv,.txt,.xlsx,.xls,.xlsm" style={{ display: "none" }}
+              <p style={{ color: MUTED, fontSize: 13 }}>or click to browse — CSV, Excel, PDF statements, OFX/QFX, QIF, camt.053 (.xml) and MT940 (.sta, .940)</p>
+              <input ref={fileRef} type="file" accept=".csv,.tsv,.txt,.xlsx,.xls,.xlsm,.ofx,.qfx,.qif,.xml,.sta,.940,.mt940,.pdf" style={{ display: "none" }}
                 onChange={e => handleFile(e.target.files[0])} />
             </div>
 
+            {importError && (
+              <p style={{ marginTop: 16, fontSize: 13, color: "#f87171" }}>{importError}</p>
+            )}
+
+            {Object.keys(mappingProfiles).length > 0 && (
+              <div style={{ marginTop: 24, textAlign: "left" }}>
+                <h3 style={{ fontSize: 12, fontWeight: 600, color: MUTED, marginBottom: 8, textTransform: "uppercase", letterSpacing: "0.5px" }}>Saved Column Mappings</h3>
+                {Object.entries(mappingProfiles).map(([sig, profile]) => (
+                  <div key={sig} style={{ display: "flex", alignItems: "center", gap: 10, padding: "6px 0", borderBottom: `1px solid ${BORDER}`, fontSize: 12 }}>
+                    <span style={{ flex: 1, color: TEXT, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{profile.headers.join(", ")}</span>
+                    {profile.target && <span style={{ color: ACCENT2 }}>→ {profile.target}</span>}
+                    <button
+                      onClick={() => setMappingProfiles(p => { const next = { ...p }; delete next[sig]; return next; })}
+                      title="Forget this mapping"
+                      style={{ ...styles.btn(), fontSize: 11, padding: "3px 8px", color: "#f87171" }}
+                    >×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div style={{ marginTop: 32, display: "flex", gap: 12, justifyContent: "center", flexWrap: "wrap" }}>
-              {["Chase", "Bank of America", "Wells Fargo", "Citi", "Capital One", "Mint", "Most banks"].map(b => (
+              {["Chase", "Bank of America", "Wells Fargo", "Citi", "Capital One", "Mint", "Quicken", "Most banks"].map(b => (
                 <span key={b} style={{ ...styles.badge(MUTED), fontSize: 11 }}>{b}</span>
               ))}
             </div>
@@ -727,6 +2859,11 @@ export default function CashFlowApp() {
           <div style={{ ...styles.card, maxWidth: 520, width: "100%" }}>
             <h2 style={{ fontSize: 22, fontWeight: 700, fontFamily: "'Outfit', sans-serif", marginBottom: 4 }}>Map Your Columns</h2>
             <p style={{ color: MUTED, fontSize: 13, marginBottom: 24 }}>Tell us which columns contain your transaction data. We've made our best guesses below.</p>
+            {profileFailed > 0 && (
+              <div style={{ fontSize: 12, color: "#fbbf24", marginBottom: 20 }}>
+                Your saved mapping for these columns couldn't read {profileFailed} row{profileFailed === 1 ? "" : "s"} of this file. Correct it below — it's updated when you import.
+              </div>
+            )}
 
             {[
               { key: "date", label: "📅 Date Column", required: true },
@@ -734,6 +2871,7 @@ export default function CashFlowApp() {
               { key: "amount", label: "💰 Amount (single column)", required: false },
               { key: "debit", label: "🔻 Debit / Withdrawal", required: false },
               { key: "credit", label: "🔺 Credit / Deposit", required: false },
+              { key: "currency", label: "💱 Currency (if the file mixes currencies)", required: false },
             ].map(({ key, label, required }) => (
               <div key={key} style={{ marginBottom: 16 }}>
                 <label style={{ fontSize: 13, fontWeight: 600, marginBottom: 6, display: "block", color: MUTED }}>
@@ -741,7 +2879,7 @@ export default function CashFlowApp() {
                 </label>
                 <select
                   value={columnMapping[key]}
-                  onChange={e => setColumnMapping(p => ({ ...p, [key]: e.target.value }))}
+                  onChange={e => setColumnMapping(p => ({ ...p, [key]: e.target.value, ...(key === "date" ? { dateFormat: "" } : {}) }))}
                   style={{ ...styles.select, width: "100%" }}
                 >
                   <option value="">— Select —</option>
@@ -750,12 +2888,96 @@ export default function CashFlowApp() {
               </div>
             ))}
 
+            {columnMapping.date && (() => {
+              const effective = columnMapping.dateFormat || detectedDateFormat.format;
+              const sample = csvData.map(r => r[columnMapping.date]).find(v => v !== "" && v !== undefined && v !== null);
+              const sampleDate = parseDate(sample, effective);
+              return (
+                <div style={{ marginBottom: 16 }}>
+                  <label style={{ fontSize: 13, fontWeight: 600, marginBottom: 6, display: "block", color: MUTED }}>🗓️ Date Format</label>
+                  <select
+                    value={columnMapping.dateFormat}
+                    onChange={e => setColumnMapping(p => ({ ...p, dateFormat: e.target.value }))}
+                    style={{ ...styles.select, width: "100%" }}
+                  >
+                    <option value="">Auto-detect ({DATE_FORMATS.find(f => f.id === detectedDateFormat.format).label})</option>
+                    {DATE_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                  </select>
+                  {sample !== undefined && (
+                    <div style={{ fontSize: 11, color: sampleDate ? MUTED : "#f87171", marginTop: 6 }}>
+                      {String(sample instanceof Date ? sample.toLocaleDateString() : sample)} → {sampleDate ? sampleDate.toLocaleDateString(undefined, { day: "numeric", month: "long", year: "numeric" }) : "can't be read with this format"}
+                    </div>
+                  )}
+                  {!columnMapping.dateFormat && detectedDateFormat.ambiguous && (
+                    <div style={{ fontSize: 11, color: "#fbbf24", marginTop: 4 }}>
+                      These dates read either way (day/month or month/day) — check the example above.
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
+
+            {(columnMapping.amount || columnMapping.debit || columnMapping.credit) && (() => {
+              const effective = columnMapping.numberFormat || detectedNumberFormat.format;
+              const sample = amountSamples(csvData, columnMapping).find(v => v !== "" && v !== undefined && v !== null);
+              return (
+                <div style={{ marginBottom: 16 }}>
+                  <label style={{ fontSize: 13, fontWeight: 600, marginBottom: 6, display: "block", color: MUTED }}>🔢 Number Format</label>
+                  <select
+                    value={columnMapping.numberFormat}
+                    onChange={e => setColumnMapping(p => ({ ...p, numberFormat: e.target.value }))}
+                    style={{ ...styles.select, width: "100%" }}
+                  >
+                    <option value="">Auto-detect ({NUMBER_FORMATS.find(f => f.id === detectedNumberFormat.format).label})</option>
+                    {NUMBER_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                  </select>
+                  {sample !== undefined && (
+                    <div style={{ fontSize: 11, color: MUTED, marginTop: 6 }}>
+                      {String(sample)} → {parseAmount(sample, effective).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
+
+            {unreadableRows > 0 && (
+              <div style={{ fontSize: 12, color: "#f87171", marginBottom: 16 }}>
+                {unreadableRows} row{unreadableRows === 1 ? "" : "s"} can't be read with these settings and will be left out — check the date column and format.
+              </div>
+            )}
+
             <p style={{ fontSize: 12, color: MUTED, marginBottom: 20, lineHeight: 1.5 }}>
               Use either a single Amount column (positives=income, negatives=expenses) or separate Debit/Credit columns.
             </p>
 
+            {savedDatasets.length > 0 && (
+              <div style={{ marginBottom: 20 }}>
+                <label style={{ fontSize: 13, fontWeight: 600, marginBottom: 6, display: "block", color: MUTED }}>📁 Import Into</label>
+                <select value={importTarget} onChange={e => setImportTarget(e.target.value)} style={{ ...styles.select, width: "100%" }}>
+                  <option value="">
+                    {savedDatasets.some(ds => ds.name === datasetNameFor(uploadFileName)) ? "Replace" : "New dataset"} “{datasetNameFor(uploadFileName)}”
+                  </option>
+                  {savedDatasets.map(ds => <option key={ds.name} value={ds.name}>Add new transactions to “{ds.name}”</option>)}
+                </select>
+              </div>
+            )}
+
+            {!importTarget && (
+              <div style={{ marginBottom: 20 }}>
+                <label style={{ fontSize: 13, fontWeight: 600, marginBottom: 6, display: "block", color: MUTED }}>💱 Account Currency</label>
+                <select value={importCurrency} onChange={e => setImportCurrency(e.target.value)} style={{ ...styles.select, width: "100%" }}>
+                  {[...new Set([baseCurrency, ...CURRENCIES])].map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+            )}
+
+            <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: MUTED, marginBottom: 20, cursor: "pointer" }}>
+              <input type="checkbox" checked={rememberMapping} onChange={e => setRememberMapping(e.target.checked)} style={{ accentColor: ACCENT }} />
+              Remember this mapping and skip this step for files with the same columns
+            </label>
+
             <div style={{ display: "flex", gap: 12 }}>
-              <button onClick={() => { setShowMapper(false); setCsvHeaders([]); setCsvData([]); setColumnMapping({ date: "", description: "", amount: "", debit: "", credit: "" }); }} style={styles.btn()}>← Back</button>
+              <button onClick={() => { setShowMapper(false); setCsvHeaders([]); setCsvData([]); setColumnMapping(EMPTY_MAPPING); }} style={styles.btn()}>← Back</button>
               <button
                 onClick={applyMapping}
                 disabled={!columnMapping.date || !columnMapping.description || (!columnMapping.amount && !columnMapping.debit && !columnMapping.credit)}
@@ -796,17 +3018,17 @@ export default function CashFlowApp() {
       <header style={styles.header}>
         <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
           <span style={styles.logo}>💸 CashFlow</span>
-          {activeDatasetName && <span style={{ fontSize: 12, color: ACCENT2, fontWeight: 600 }}>{activeDatasetName}</span>}
+          {activeDatasetNames.length > 0 && <span style={{ fontSize: 12, color: ACCENT2, fontWeight: 600 }}>{activeDatasetNames.join(" + ")}</span>}
           <span style={{ fontSize: 12, color: MUTED }}>{transactions.length} transactions</span>
           {saving && <span style={{ fontSize: 11, color: ACCENT }}>Saving...</span>}
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
           <nav style={styles.nav}>
-            {[["dashboard", "Overview"], ["transactions", "Transactions"], ["budget", "Budget"], ["forecast", "Forecast"]].map(([key, label]) => (
+            {[["dashboard", "Overview"], ["transactions", "Transactions"], ["budget", "Budget"], ["subscriptions", "Subscriptions"], ["forecast", "Forecast"], ["calendar", "Calendar"]].map(([key, label]) => (
               <button key={key} style={styles.navBtn(view === key)} onClick={() => setView(key)}>{label}</button>
             ))}
           </nav>
-          <button onClick={() => { setView("upload"); setTransactions([]); setCsvData([]); setActiveDatasetName(null); }} style={{ ...styles.btn(), fontSize: 12, padding: "8px 14px" }}>New CSV</button>
+          <button onClick={() => { setView("upload"); setTransactions([]); setCsvData([]); setActiveDatasetNames([]); setAccountFilter(""); }} style={{ ...styles.btn(), fontSize: 12, padding: "8px 14px" }}>New CSV</button>
           {user && (
             <div style={{ display: "flex", alignItems: "center", gap: 8, marginLeft: 8 }}>
               <img src={user.photoURL} alt="" style={{ width: 26, height: 26, borderRadius: "50%", border: `2px solid ${BORDER}` }} />
@@ -834,8 +3056,120 @@ export default function CashFlowApp() {
           {(dateRange.start || dateRange.end) && (
             <button onClick={() => setDateRange({ start: "", end: "" })} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>Clear</button>
           )}
+          {accounts.length > 1 && (
+            <select value={accountFilter} onChange={e => setAccountFilter(e.target.value)} style={{ ...styles.select, marginLeft: "auto" }}>
+              <option value="">All accounts</option>
+              {accounts.map(a => <option key={a} value={a}>{a}</option>)}
+            </select>
+          )}
+          <select
+            value={baseCurrency}
+            onChange={e => setCurrencySettings(p => rebaseRates(p, e.target.value))}
+            title="Reporting currency"
+            style={{ ...styles.select, marginLeft: accounts.length > 1 ? 0 : "auto" }}
+          >
+            {[...new Set([baseCurrency, ...CURRENCIES])].map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <button onClick={() => setShowRates(v => !v)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px", color: missingRates.length > 0 ? "#fbbf24" : TEXT }}>
+            💱 Rates{missingRates.length > 0 ? ` (${missingRates.length} missing)` : ""}
+          </button>
+          <button onClick={() => setShowBalances(v => !v)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>🏦 Balances</button>
         </div>
 
+        {/* Account balances */}
+        {showBalances && (
+          <div style={{ ...styles.card, marginBottom: 24, padding: 20 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <h3 style={{ fontSize: 15, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Account Balances</h3>
+              <button onClick={() => setShowBalances(false)} style={{ ...styles.btn(), fontSize: 11, padding: "4px 10px" }}>Close</button>
+            </div>
+            <p style={{ fontSize: 12, color: MUTED, marginBottom: 12 }}>
+              One known balance per account is enough — from a statement or your banking app. OFX, camt.053 and MT940 imports fill it in.
+            </p>
+            {savedDatasets.filter(ds => accounts.includes(ds.name)).length === 0 && (
+              <p style={{ fontSize: 13, color: MUTED }}>Balances are kept with saved datasets — sign in and import to track them.</p>
+            )}
+            {savedDatasets.filter(ds => accounts.includes(ds.name)).map(ds => {
+              const draft = balanceDrafts[ds.name] || (ds.balance ? { ...ds.balance, amount: String(ds.balance.amount) } : { amount: "", date: "", kind: "closing" });
+              const edit = patch => setBalanceDrafts(prev => ({ ...prev, [ds.name]: { ...draft, ...patch } }));
+              const amount = parseFloat(draft.amount);
+              return (
+                <div key={ds.name} style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 0", borderTop: `1px solid ${BORDER}`, fontSize: 13, flexWrap: "wrap" }}>
+                  <span style={{ color: ACCENT2, fontWeight: 600, width: 180 }}>{ds.name}</span>
+                  <select value={draft.kind} onChange={e => edit({ kind: e.target.value })} style={styles.select}>
+                    <option value="closing">Balance at end of</option>
+                    <option value="opening">Balance at start of</option>
+                  </select>
+                  <input type="date" value={draft.date} onChange={e => edit({ date: e.target.value })} style={{ ...styles.input, width: 150 }} />
+                  <input type="number" step="0.01" placeholder={`Amount (${ds.currency || baseCurrency})`} value={draft.amount} onChange={e => edit({ amount: e.target.value })} style={{ ...styles.input, width: 140 }} />
+                  {balanceDrafts[ds.name] && (
+                    <button
+                      onClick={() => saveAccountBalance(ds.name, { amount, date: draft.date, kind: draft.kind })}
+                      disabled={isNaN(amount) || !draft.date}
+                      style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 12px", opacity: isNaN(amount) || !draft.date ? 0.4 : 1 }}
+                    >Save</button>
+                  )}
+                  {ds.balance && !balanceDrafts[ds.name] && (
+                    <button onClick={() => saveAccountBalance(ds.name, null)} style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }} title="Clear balance">×</button>
+                  )}
+                  {accountBalances[ds.name] && (
+                    <span style={{ marginLeft: "auto", color: MUTED }}>
+                      now <b style={{ color: accountBalances[ds.name].current < 0 ? "#f87171" : TEXT }}>{fmtFull(accountBalances[ds.name].current, baseCurrency)}</b>
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Exchange rates */}
+        {(showRates || missingRates.length > 0) && (
+          <div style={{ ...styles.card, marginBottom: 24, padding: 20 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+              <h3 style={{ fontSize: 15, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Exchange Rates</h3>
+              {showRates && <button onClick={() => setShowRates(false)} style={{ ...styles.btn(), fontSize: 11, padding: "4px 10px" }}>Close</button>}
+            </div>
+            {missingRates.length > 0 && (
+              <p style={{ fontSize: 12, color: "#fbbf24", marginBottom: 12 }}>
+                No rate set for {missingRates.join(", ")} — those amounts are counted 1:1 in {baseCurrency} until you add one.
+              </p>
+            )}
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+              {[...new Set([...foreignCurrencies, ...Object.keys(currencySettings.exchangeRates)])].filter(c => c !== baseCurrency).map(c => (
+                <div key={c} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+                  <span style={{ color: MUTED }}>1 {c} =</span>
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={currencySettings.exchangeRates[c] ?? ""}
+                    placeholder="rate"
+                    onChange={e => {
+                      const rate = parseFloat(e.target.value);
+                      setCurrencySettings(p => {
+                        const exchangeRates = { ...p.exchangeRates };
+                        if (rate > 0) exchangeRates[c] = rate; else delete exchangeRates[c];
+                        return { ...p, exchangeRates };
+                      });
+                    }}
+                    style={{ ...styles.input, width: 100 }}
+                  />
+                  <span style={{ color: MUTED }}>{baseCurrency}</span>
+                </div>
+              ))}
+              <select
+                value=""
+                onChange={e => setCurrencySettings(p => ({ ...p, exchangeRates: { ...p.exchangeRates, [e.target.value]: p.exchangeRates[e.target.value] || 1 } }))}
+                style={styles.select}
+              >
+                <option value="">+ Add currency</option>
+                {CURRENCIES.filter(c => c !== baseCurrency && !currencySettings.exchangeRates[c] && !foreignCurrencies.includes(c)).map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
+          </div>
+        )}
+
         {/* ─── OVERVIEW TAB ────────────────────────────────────────────── */}
         {view === "dashboard" && (
           <>
@@ -843,20 +3177,28 @@ export default function CashFlowApp() {
             <div style={{ display: "flex", gap: 16, marginBottom: 24, flexWrap: "wrap" }}>
               <div style={styles.statCard(ACCENT)}>
                 <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Income</div>
-                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: ACCENT }}>{fmt(income)}</div>
+                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: ACCENT }}>{fmt(income, baseCurrency)}</div>
               </div>
               <div style={styles.statCard("#f87171")}>
                 <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Expenses</div>
-                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: "#f87171" }}>{fmt(expenses)}</div>
+                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: "#f87171" }}>{fmt(expenses, baseCurrency)}</div>
+                {refunds > 0 && <div style={{ fontSize: 11, color: MUTED, marginTop: 4 }}>after {fmt(refunds, baseCurrency)} in refunds</div>}
               </div>
               <div style={styles.statCard(netFlow >= 0 ? ACCENT : "#f87171")}>
                 <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Net Cash Flow</div>
-                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: netFlow >= 0 ? ACCENT : "#f87171" }}>{netFlow >= 0 ? "+" : ""}{fmt(netFlow)}</div>
+                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: netFlow >= 0 ? ACCENT : "#f87171" }}>{netFlow >= 0 ? "+" : ""}{fmt(netFlow, baseCurrency)}</div>
               </div>
               <div style={styles.statCard(ACCENT2)}>
                 <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Transactions</div>
                 <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: ACCENT2 }}>{filtered.length}</div>
               </div>
+              {currentBalance !== null && (
+                <div style={styles.statCard(currentBalance < calendarSettings.threshold ? "#f87171" : "#fbbf24")}>
+                  <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Balance</div>
+                  <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: currentBalance < calendarSettings.threshold ? "#f87171" : "#fbbf24" }}>{fmt(currentBalance, baseCurrency)}</div>
+                  {unbalancedAccounts.length > 0 && <div style={{ fontSize: 11, color: MUTED, marginTop: 4 }}>{unbalancedAccounts.length} account{unbalancedAccounts.length === 1 ? "" : "s"} without a balance</div>}
+                </div>
+              )}
             </div>
 
             {/* Charts Row */}
@@ -868,8 +3210,8 @@ export default function CashFlowApp() {
                   <BarChart data={monthlyData} barGap={4}>
                     <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
                     <XAxis dataKey="label" tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} />
-                    <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => `$${(v / 1000).toFixed(0)}k`} />
-                    <Tooltip {...customTooltip} formatter={(v) => fmtFull(v)} />
+                    <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => fmtAxis(v, baseCurrency)} />
+                    <Tooltip {...customTooltip} formatter={(v) => fmtFull(v, baseCurrency)} />
                     <Bar dataKey="income" fill={ACCENT} radius={[6, 6, 0, 0]} name="Income" />
                     <Bar dataKey="expenses" fill="#f87171" radius={[6, 6, 0, 0]} name="Expenses" />
                   </BarChart>
@@ -878,25 +3220,32 @@ export default function CashFlowApp() {
 
               {/* Spending by Category */}
               <div style={styles.card}>
-                <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 20, fontFamily: "'Outfit', sans-serif" }}>Where Your Money Goes</h3>
-                {categoryBreakdown.length > 0 ? (
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20 }}>
+                  <h3 style={{ fontSize: 15, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>
+                    Where Your Money Goes{drilledCategory ? ` › ${drilledCategory.name}` : ""}
+                  </h3>
+                  {drilledCategory && <button onClick={() => setDrillCategory(null)} style={{ ...styles.btn(), fontSize: 11, padding: "4px 10px" }}>← All</button>}
+                </div>
+                {pieSlices.length > 0 ? (
                   <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
                     <ResponsiveContainer width="50%" height={240}>
                       <PieChart>
-                        <Pie data={categoryBreakdown} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={90} innerRadius={50} paddingAngle={2} strokeWidth={0}>
-                          {categoryBreakdown.map((entry) => (
-                            <Cell key={entry.name} fill={CATEGORY_COLORS[entry.name] || CATEGORY_COLORS["Other"]} />
+                        <Pie data={pieSlices} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={90} innerRadius={50} paddingAngle={2} strokeWidth={0}
+                          onClick={d => drillInto(d.name)}>
+                          {pieSlices.map((entry) => (
+                            <Cell key={entry.name} fill={colorOf(entry.name)} style={{ cursor: !drilledCategory && childrenOf[entry.name] ? "pointer" : "default" }} />
                           ))}
                         </Pie>
-                        <Tooltip {...customTooltip} formatter={(v) => fmtFull(v)} />
+                        <Tooltip {...customTooltip} formatter={(v) => fmtFull(v, baseCurrency)} />
                       </PieChart>
                     </ResponsiveContainer>
                     <div style={{ flex: 1, maxHeight: 240, overflow: "auto" }}>
-                      {categoryBreakdown.slice(0, 7).map(c => (
-                        <div key={c.name} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 12 }}>
-                          <div style={{ width: 10, height: 10, borderRadius: 3, background: CATEGORY_COLORS[c.name] || CATEGORY_COLORS["Other"], flexShrink: 0 }} />
-                          <span style={{ flex: 1, color: MUTED }}>{c.name}</span>
-                          <span style={{ fontWeight: 600 }}>{fmt(c.value)}</span>
+                      {pieSlices.slice(0, drilledCategory ? pieSlices.length : 7).map(c => (
+                        <div key={c.name} onClick={() => drillInto(c.name)}
+                          style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, fontSize: 12, cursor: !drilledCategory && childrenOf[c.name] ? "pointer" : "default" }}>
+                          <div style={{ width: 10, height: 10, borderRadius: 3, background: colorOf(c.name), flexShrink: 0 }} />
+                          <span style={{ flex: 1, color: MUTED }}>{c.name}{!drilledCategory && childrenOf[c.name] ? " ▸" : ""}</span>
+                          <span style={{ fontWeight: 600 }}>{fmt(c.value, baseCurrency)}</span>
                         </div>
                       ))}
                     </div>
@@ -920,23 +3269,45 @@ export default function CashFlowApp() {
                   </defs>
                   <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
                   <XAxis dataKey="label" tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} />
-                  <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => `$${(v / 1000).toFixed(0)}k`} />
-                  <Tooltip {...customTooltip} formatter={(v) => fmtFull(v)} />
+                  <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => fmtAxis(v, baseCurrency)} />
+                  <Tooltip {...customTooltip} formatter={(v) => fmtFull(v, baseCurrency)} />
                   <Area type="monotone" dataKey="net" stroke={ACCENT} fill="url(#netGrad)" strokeWidth={2.5} name="Net Flow" />
                 </AreaChart>
               </ResponsiveContainer>
             </div>
 
+            {/* Balance over time */}
+            {balanceHistory.length > 0 && (
+              <div style={{ ...styles.card, marginTop: 16 }}>
+                <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 20, fontFamily: "'Outfit', sans-serif" }}>Balance Over Time</h3>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={balanceHistory}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+                    <XAxis dataKey="label" tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} />
+                    <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => fmtAxis(v, baseCurrency)} />
+                    <Tooltip {...customTooltip} formatter={(v) => fmtFull(v, baseCurrency)} />
+                    {balanceAccounts.length > 1 && <Legend />}
+                    {balanceAccounts.length > 1 && balanceAccounts.map((a, i) => (
+                      <Line key={a} type="monotone" dataKey={d => d.accounts[a]} stroke={CATEGORY_PALETTE[i % CATEGORY_PALETTE.length]} strokeWidth={1.5} dot={false} name={a} />
+                    ))}
+                    <Line type="monotone" dataKey="total" stroke="#fbbf24" strokeWidth={2.5} dot={{ fill: "#fbbf24", r: 3 }} name={balanceAccounts.length > 1 ? "Total" : "Balance"} />
+                    {calendarSettings.threshold !== 0 && <ReferenceLine y={calendarSettings.threshold} stroke="#f87171" strokeDasharray="4 4" />}
+                  </LineChart>
+                </ResponsiveContainer>
+                <p style={{ fontSize: 11, color: MUTED, marginTop: 8 }}>Month-end balance{unbalancedAccounts.length > 0 ? `, leaving out ${unbalancedAccounts.join(", ")} (no balance set)` : ""}.</p>
+              </div>
+            )}
+
             {/* Top Expenses */}
             <div style={{ ...styles.card, marginTop: 16 }}>
               <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 16, fontFamily: "'Outfit', sans-serif" }}>Largest Expenses</h3>
               <div>
-                {filtered.filter(t => t.amount < 0).sort((a, b) => a.amount - b.amount).slice(0, 8).map(t => (
+                {cashFlow.filter(t => t.amount < 0).sort((a, b) => a.amount - b.amount).slice(0, 8).map(t => (
                   <div key={t.id} style={{ display: "flex", alignItems: "center", padding: "10px 0", borderBottom: `1px solid ${BORDER}`, gap: 12 }}>
-                    <span style={styles.badge(CATEGORY_COLORS[t.category] || CATEGORY_COLORS["Other"])}>{t.category}</span>
+                    <span style={styles.badge(colorOf(t.category))}>{t.splits ? `Split · ${t.splits.length}` : t.category}</span>
                     <span style={{ flex: 1, fontSize: 13 }}>{t.description}</span>
                     <span style={{ fontSize: 12, color: MUTED }}>{t.date.toLocaleDateString()}</span>
-                    <span style={{ fontWeight: 700, color: "#f87171", fontSize: 14, fontFamily: "'Outfit', sans-serif" }}>{fmtFull(t.amount)}</span>
+                    <span style={{ fontWeight: 700, color: "#f87171", fontSize: 14, fontFamily: "'Outfit', sans-serif" }}>{fmtFull(t.amount, baseCurrency)}</span>
                   </div>
                 ))}
               </div>
@@ -945,34 +3316,271 @@ export default function CashFlowApp() {
         )}
 
         {/* ─── TRANSACTIONS TAB ────────────────────────────────────────── */}
+        {view === "transactions" && showTransfers && (
+          <div style={{ ...styles.card, marginBottom: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <h3 style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Transfers</h3>
+              <button onClick={detectTransfers} disabled={savedDatasets.length === 0} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px" }}>Detect Across All Datasets</button>
+            </div>
+            <p style={{ fontSize: 12, color: MUTED, marginBottom: 16 }}>
+              Transfers between your own accounts are left out of income, expenses, categories and the forecast.
+              Matches are equal and opposite amounts in different datasets within {TRANSFER_WINDOW_DAYS} days.
+              Transfer-like descriptions without a match are only suggested, and count as spending until you confirm them.
+            </p>
+            {transferGroups.length === 0 && transferSuggestions.length === 0 && <p style={{ fontSize: 13, color: MUTED }}>No transfers found in the loaded transactions.</p>}
+            {transferGroups.map(g => (
+              <div key={g.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 0", borderTop: `1px solid ${BORDER}`, fontSize: 12 }}>
+                <div style={{ flex: 1 }}>
+                  {g.members.map(t => (
+                    <div key={t.id} style={{ display: "flex", gap: 12, padding: "2px 0" }}>
+                      <span style={{ color: MUTED, width: 80 }}>{t.date.toLocaleDateString()}</span>
+                      <span style={{ color: ACCENT2, width: 140, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.account || "—"}</span>
+                      <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.description}</span>
+                      <span style={{ fontWeight: 600, color: t.amount >= 0 ? ACCENT : "#f87171" }}>{fmtFull(t.amount, t.currency || baseCurrency)}</span>
+                    </div>
+                  ))}
+                  {g.members.length === 1 && <div style={{ color: MUTED, fontSize: 11 }}>Other side not imported</div>}
+                </div>
+                {g.status === "confirmed"
+                  ? <span style={styles.badge(ACCENT)}>Confirmed</span>
+                  : <button onClick={() => confirmTransfer(g)} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 12px" }}>Confirm</button>}
+                <button onClick={() => unlinkTransfer(g)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>Unlink</button>
+              </div>
+            ))}
+            {transferSuggestions.length > 0 && (
+              <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, margin: "16px 0 4px" }}>Suggested by description — other side not imported</div>
+            )}
+            {transferSuggestions.map(t => (
+              <div key={t.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 0", borderTop: `1px solid ${BORDER}`, fontSize: 12 }}>
+                <span style={{ color: MUTED, width: 80 }}>{t.date.toLocaleDateString()}</span>
+                <span style={{ color: ACCENT2, width: 140, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.account || "—"}</span>
+                <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.description}</span>
+                <span style={{ fontWeight: 600, color: t.amount >= 0 ? ACCENT : "#f87171" }}>{fmtFull(t.amount, t.currency || baseCurrency)}</span>
+                <button onClick={() => acceptTransferSuggestion(t.id)} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 12px" }}>It's a Transfer</button>
+                <button onClick={() => rejectTransferSuggestion(t.id)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>Not a Transfer</button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {view === "transactions" && showCategories && (
+          <div style={{ ...styles.card, marginBottom: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+              <h3 style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Categories</h3>
+              <form
+                onSubmit={e => { e.preventDefault(); if (addCategory(newCategory)) setNewCategory(""); }}
+                style={{ display: "flex", gap: 8 }}
+              >
+                <input value={newCategory} onChange={e => setNewCategory(e.target.value)} placeholder="New category…" style={{ ...styles.input, width: 180, padding: "6px 10px" }} />
+                <button type="submit" disabled={!newCategory.trim() || nameTaken(newCategory.trim())} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 14px" }}>+ Add</button>
+              </form>
+            </div>
+            {categoryOptions.map(o => categories.find(c => c.name === o.value)).map(c => {
+              const isFallback = c.keys.includes("Other");
+              const others = categoryNames.filter(n => n !== c.name);
+              return (
+                <div key={c.name} style={{ display: "flex", alignItems: "center", gap: 10, padding: parentOf[c.name] ? "8px 0 8px 28px" : "8px 0", borderTop: `1px solid ${BORDER}`, fontSize: 13 }}>
+                  <input
+                    type="color"
+                    value={c.color}
+                    onChange={e => setCategories(prev => prev.map(x => x.name === c.name ? { ...x, color: e.target.value } : x))}
+                    style={{ width: 28, height: 28, border: "none", background: "none", padding: 0, cursor: "pointer" }}
+                  />
+                  <input
+                    defaultValue={c.name}
+                    onBlur={e => { if (!renameCategory(c.name, e.target.value)) e.target.value = c.name; }}
+                    onKeyDown={e => { if (e.key === "Enter") e.target.blur(); }}
+                    style={{ ...styles.input, width: 200, padding: "6px 10px", color: c.color, fontWeight: 600 }}
+                  />
+                  <select
+                    value={parentOf[c.name] || ""}
+                    onChange={e => setCategories(prev => prev.map(x => x.name === c.name ? { ...x, parent: e.target.value } : x))}
+                    disabled={Boolean(childrenOf[c.name])}
+                    title={childrenOf[c.name] ? "Categories with subcategories stay top-level" : "Parent category"}
+                    style={{ ...styles.select, padding: "6px 8px", fontSize: 12 }}
+                  >
+                    <option value="">Top level</option>
+                    {categoryNames.filter(n => n !== c.name && !parentOf[n]).map(n => <option key={n} value={n}>under {n}</option>)}
+                  </select>
+                  <span style={{ color: MUTED, fontSize: 12 }}>{categoryCounts[c.name] || 0} txns</span>
+
+                  {deletingCategory?.name === c.name ? (
+                    <div style={{ display: "flex", alignItems: "center", gap: 8, marginLeft: "auto", fontSize: 12 }}>
+                      <span style={{ color: MUTED }}>Move its transactions to</span>
+                      <select value={deletingCategory.to} onChange={e => setDeletingCategory({ ...deletingCategory, to: e.target.value })} style={{ ...styles.select, padding: "6px 8px" }}>
+                        {others.map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                      <button
+                        onClick={() => { removeCategory(c.name, deletingCategory.to, { dropBudget: true }); setDeletingCategory(null); }}
+                        style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px", color: "#f87171" }}
+                      >Delete</button>
+                      <button onClick={() => setDeletingCategory(null)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 12px" }}>Cancel</button>
+                    </div>
+                  ) : !isFallback && (
+                    <div style={{ display: "flex", alignItems: "center", gap: 8, marginLeft: "auto" }}>
+                      <select value="" onChange={e => e.target.value && removeCategory(c.name, e.target.value)} style={{ ...styles.select, padding: "6px 8px", fontSize: 12 }}>
+                        <option value="">Merge into…</option>
+                        {others.map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                      <button
+                        onClick={() => setDeletingCategory({ name: c.name, to: fallbackCategory(categories) === c.name ? others[0] : fallbackCategory(categories) })}
+                        style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }}
+                        title="Delete category"
+                      >×</button>
+                    </div>
+                  )}
+                  {isFallback && <span style={{ marginLeft: "auto", fontSize: 11, color: MUTED }}>Uncategorized transactions land here</span>}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {view === "transactions" && showRules && (
+          <div style={{ ...styles.card, marginBottom: 24 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <h3 style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Categorization Rules</h3>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button onClick={() => setCategoryRules(prev => [...prev, newRule({ category: fallbackCategory(categories) })])} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px" }}>+ Add Rule</button>
+                <button onClick={recategorizeAll} disabled={categoryRules.length === 0} style={{ ...styles.btn("primary"), fontSize: 12, padding: "6px 14px", opacity: categoryRules.length === 0 ? 0.5 : 1 }}>Apply to All Datasets</button>
+              </div>
+            </div>
+            <p style={{ fontSize: 12, color: MUTED, marginBottom: 16 }}>
+              Rules run top to bottom on import and the first match sets the category. Leave a condition blank to ignore it; amounts are compared without their sign.
+            </p>
+            {rulesResult && <p style={{ fontSize: 12, color: ACCENT, marginBottom: 12 }}>✓ {rulesResult}</p>}
+            {categoryRules.length === 0 && <p style={{ fontSize: 13, color: MUTED }}>No rules yet.</p>}
+            {categoryRules.map((r, i) => {
+              const invalid = r.match === "regex" && r.pattern && !ruleRegex(r.pattern);
+              const amountInput = (field, placeholder) => (
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={r[field] ?? ""}
+                  placeholder={placeholder}
+                  onChange={e => updateRule(r.id, { [field]: e.target.value === "" ? null : Math.abs(parseFloat(e.target.value)) })}
+                  style={{ ...styles.input, width: 80, padding: "6px 8px" }}
+                />
+              );
+              return (
+                <div key={r.id} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", padding: "10px 0", borderTop: `1px solid ${BORDER}`, fontSize: 12 }}>
+                  <span style={{ color: MUTED, width: 20 }}>{i + 1}.</span>
+                  <button onClick={() => moveRule(i, -1)} disabled={i === 0} style={{ ...styles.btn(), fontSize: 11, padding: "4px 8px" }}>↑</button>
+                  <button onClick={() => moveRule(i, 1)} disabled={i === categoryRules.length - 1} style={{ ...styles.btn(), fontSize: 11, padding: "4px 8px" }}>↓</button>
+                  <select value={r.match} onChange={e => updateRule(r.id, { match: e.target.value })} style={{ ...styles.select, padding: "6px 8px" }}>
+                    <option value="contains">Description contains</option>
+                    <option value="regex">Description matches regex</option>
+                  </select>
+                  <input
+                    value={r.pattern}
+                    placeholder={r.match === "regex" ? "^amzn|amazon" : "text"}
+                    onChange={e => updateRule(r.id, { pattern: e.target.value })}
+                    title={invalid ? "Invalid regular expression" : ""}
+                    style={{ ...styles.input, width: 160, padding: "6px 8px", ...(invalid ? { borderColor: "#f87171" } : {}) }}
+                  />
+                  <select value={r.sign} onChange={e => updateRule(r.id, { sign: e.target.value })} style={{ ...styles.select, padding: "6px 8px" }}>
+                    <option value="">Any sign</option>
+                    <option value="income">Income only</option>
+                    <option value="expense">Expenses only</option>
+                  </select>
+                  {amountInput("minAmount", "min")}
+                  <span style={{ color: MUTED }}>–</span>
+                  {amountInput("maxAmount", "max")}
+                  <select value={r.dataset} onChange={e => updateRule(r.id, { dataset: e.target.value })} style={{ ...styles.select, padding: "6px 8px", maxWidth: 160 }}>
+                    <option value="">Any dataset</option>
+                    {[...new Set([...savedDatasets.map(ds => ds.name), ...(r.dataset ? [r.dataset] : [])])].map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                  <span style={{ color: MUTED }}>→</span>
+                  <select value={r.category} onChange={e => updateRule(r.id, { category: e.target.value })} style={{ ...styles.select, padding: "6px 8px", color: colorOf(r.category) }}>
+                    {categoryOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                  </select>
+                  <span style={{ color: MUTED, marginLeft: "auto" }}>
+                    {hasConditions(r) ? `${ruleMatchCounts[r.id] || 0} match${ruleMatchCounts[r.id] === 1 ? "" : "es"}` : "no conditions"}
+                  </span>
+                  <button onClick={() => setCategoryRules(prev => prev.filter(x => x.id !== r.id))} style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }} title="Delete rule">×</button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {view === "transactions" && (
           <div style={styles.card}>
-            <h3 style={{ fontSize: 18, fontWeight: 700, marginBottom: 16, fontFamily: "'Outfit', sans-serif" }}>All Transactions</h3>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+              <h3 style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>All Transactions</h3>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button onClick={() => setShowTransfers(v => !v)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px", color: transfersToReview > 0 ? "#fbbf24" : TEXT }}>
+                  ⇄ Transfers{transfersToReview > 0 ? ` (${transfersToReview} to review)` : ""}
+                </button>
+                <button onClick={() => setShowCategories(v => !v)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px" }}>🏷️ Categories</button>
+                <button onClick={() => setShowRules(v => !v)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px" }}>
+                  ⚙️ Rules{categoryRules.length > 0 ? ` (${categoryRules.length})` : ""}
+                </button>
+              </div>
+            </div>
             <div style={{ maxHeight: 600, overflow: "auto" }}>
               <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
                 <thead>
                   <tr>
-                    {["Date", "Description", "Category", "Amount"].map(h => (
+                    {["Date", "Account", "Description", "Category", "Amount", ...(hasBalances ? ["Balance"] : [])].map(h => (
                       <th key={h} style={{ padding: "10px 12px", textAlign: "left", fontWeight: 600, color: MUTED, fontSize: 11, textTransform: "uppercase", letterSpacing: "0.5px", borderBottom: `2px solid ${BORDER}`, position: "sticky", top: 0, background: CARD }}>{h}</th>
                     ))}
                   </tr>
                 </thead>
                 <tbody>
                   {filtered.sort((a, b) => b.date - a.date).map(t => (
-                    <tr key={t.id} style={{ borderBottom: `1px solid ${BORDER}` }}>
-                      <td style={{ padding: "10px 12px", color: MUTED }}>{t.date.toLocaleDateString()}</td>
-                      <td style={{ padding: "10px 12px", maxWidth: 300, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.description}</td>
-                      <td style={{ padding: "10px 12px" }}>
-                        <select
-                          value={t.category}
-                          onChange={e => updateCategory(t.id, e.target.value)}
-                          style={{ ...styles.select, background: `${CATEGORY_COLORS[t.category] || CATEGORY_COLORS["Other"]}18`, color: CATEGORY_COLORS[t.category] || CATEGORY_COLORS["Other"], border: `1px solid ${CATEGORY_COLORS[t.category] || CATEGORY_COLORS["Other"]}44`, fontSize: 12, padding: "4px 8px", fontWeight: 600 }}
-                        >
-                          {Object.keys(CATEGORY_COLORS).map(c => <option key={c} value={c}>{c}</option>)}
-                        </select>
-                      </td>
-                      <td style={{ padding: "10px 12px", fontWeight: 700, color: t.amount >= 0 ? ACCENT : "#f87171", fontFamily: "'Outfit', sans-serif" }}>{fmtFull(t.amount)}</td>
-                    </tr>
+                    <Fragment key={t.id}>
+                      <tr style={{ borderBottom: `1px solid ${BORDER}` }}>
+                        <td style={{ padding: "10px 12px", color: MUTED }}>{t.date.toLocaleDateString()}</td>
+                        <td style={{ padding: "10px 12px", color: ACCENT2, fontSize: 12, whiteSpace: "nowrap" }}>{t.account || "—"}</td>
+                        <td style={{ padding: "10px 12px", maxWidth: 300, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                          {t.transfer && <span style={{ ...styles.badge(ACCENT2), marginRight: 8 }} title="Transfer between your accounts — not counted as income or spending">⇄ Transfer</span>}
+                          {!t.transfer && !t.splits && isRefund(t, incomeCategories, otherCategory) && (
+                            <span
+                              onClick={() => setRefundLinker(refundLinker === t.id ? null : t.id)}
+                              style={{ ...styles.badge("#fbbf24"), marginRight: 8, cursor: "pointer" }}
+                              title={`Refund — reduces ${t.category} spending. Click to ${t.refundOf ? "see" : "link"} the original charge.`}
+                            >↩ Refund{t.refundOf ? " 🔗" : ""}</span>
+                          )}
+                          {t.description}
+                        </td>
+                        <td style={{ padding: "10px 12px", whiteSpace: "nowrap" }}>
+                          {t.splits ? (
+                            <span style={{ display: "inline-flex", gap: 4, flexWrap: "wrap", maxWidth: 260 }}>
+                              {t.splits.map((p, i) => <span key={i} style={styles.badge(colorOf(p.category))} title={fmtFull(p.amount, baseCurrency)}>{p.category}</span>)}
+                            </span>
+                          ) : (
+                            <select
+                              value={t.category}
+                              onChange={e => updateCategory(t.id, e.target.value)}
+                              style={{ ...styles.select, background: `${colorOf(t.category)}18`, color: colorOf(t.category), border: `1px solid ${colorOf(t.category)}44`, fontSize: 12, padding: "4px 8px", fontWeight: 600 }}
+                            >
+                              {categoryOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                              {!categoryNames.includes(t.category) && <option value={t.category}>{t.category}</option>}
+                            </select>
+                          )}
+                          <button
+                            onClick={() => splitEditor?.id === t.id ? setSplitEditor(null) : openSplitEditor(t.id)}
+                            title={t.splits ? "Edit split" : "Split across categories"}
+                            style={{ background: "none", border: "none", color: t.splits ? ACCENT2 : MUTED, cursor: "pointer", fontSize: 13, marginLeft: 4 }}
+                          >✂️</button>
+                        </td>
+                        <td style={{ padding: "10px 12px", fontWeight: 700, color: t.amount >= 0 ? ACCENT : "#f87171", fontFamily: "'Outfit', sans-serif" }}>
+                          {fmtFull(t.amount, baseCurrency)}
+                          {t.originalAmount !== undefined && (
+                            <div style={{ fontSize: 11, fontWeight: 400, color: MUTED }}>{fmtFull(t.originalAmount, t.currency)}</div>
+                          )}
+                        </td>
+                        {hasBalances && (
+                          <td style={{ padding: "10px 12px", color: accountBalances[t.account]?.after.get(t.id) < 0 ? "#f87171" : MUTED, whiteSpace: "nowrap" }}>
+                            {accountBalances[t.account] ? fmtFull(accountBalances[t.account].after.get(t.id), baseCurrency) : "—"}
+                          </td>
+                        )}
+                      </tr>
+                      {splitEditor?.id === t.id && renderSplitEditor(t)}
+                      {refundLinker === t.id && renderRefundLinker(t)}
+                    </Fragment>
                   ))}
                 </tbody>
               </table>
@@ -984,77 +3592,247 @@ export default function CashFlowApp() {
         {view === "budget" && (
           <div>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20 }}>
-              <h3 style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>Budget vs. Actual</h3>
-              <p style={{ color: MUTED, fontSize: 13 }}>Click any category to set a budget</p>
+              <h3 style={{ fontSize: 18, fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>{envelopeSettings.enabled ? "Envelopes" : "Budget vs. Actual"}</h3>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {!envelopeSettings.enabled && <p style={{ color: MUTED, fontSize: 13 }}>Click any category to set a budget</p>}
+                {!envelopeSettings.enabled && <button onClick={() => setShowBudgetHistory(v => !v)} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px" }}>📅 History</button>}
+                {[["Caps", false], ["Envelopes", true]].map(([text, enabled]) => (
+                  <button
+                    key={text}
+                    onClick={() => setEnvelopeSettings(prev => ({ ...prev, enabled }))}
+                    style={{ ...styles.btn(envelopeSettings.enabled === enabled ? "primary" : undefined), fontSize: 12, padding: "6px 14px" }}
+                  >{text}</button>
+                ))}
+              </div>
             </div>
+            {envelopeSettings.enabled ? renderEnvelopes() : (
+              <>
+                <p style={{ color: MUTED, fontSize: 13, marginTop: -12, marginBottom: 16 }}>
+                  Budgets for {budgetSpan.label} ({daysInSpan(budgetSpan.start, budgetSpan.end)} days) — weekly, monthly and annual amounts are scaled to fit.
+                  Changes apply from {monthLabel(budgetMonth)} on; earlier months keep the budgets they had.
+                </p>
 
-            <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(340px, 1fr))", gap: 16 }}>
-              {categoryBreakdown.map(cat => {
-                const budget = budgets[cat.name] || 0;
-                const pct = budget > 0 ? Math.min((cat.value / budget) * 100, 100) : 0;
-                const over = budget > 0 && cat.value > budget;
-                const color = CATEGORY_COLORS[cat.name] || CATEGORY_COLORS["Other"];
+                <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 20, flexWrap: "wrap" }}>
+                  {budgetTemplates.length > 0 && (
+                    <select
+                      value=""
+                      onChange={e => { const t = budgetTemplates.find(x => x.id === e.target.value); if (t) applyBudgetTemplate(t); }}
+                      style={styles.select}
+                    >
+                      <option value="">Apply template to {monthLabel(budgetMonth)}…</option>
+                      {budgetTemplates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                    </select>
+                  )}
+                  <input
+                    placeholder="Template name"
+                    value={newTemplateName}
+                    onChange={e => setNewTemplateName(e.target.value)}
+                    onKeyDown={e => e.key === "Enter" && saveBudgetTemplate()}
+                    style={{ ...styles.input, width: 180 }}
+                  />
+                  <button onClick={saveBudgetTemplate} disabled={Object.keys(budgets).length === 0} style={{ ...styles.btn(), fontSize: 12, padding: "6px 14px", opacity: Object.keys(budgets).length === 0 ? 0.4 : 1 }}>
+                    Save these budgets as a template
+                  </button>
+                  {budgetTemplates.map(t => (
+                    <span key={t.id} style={{ ...styles.badge(ACCENT2), display: "inline-flex", alignItems: "center", gap: 4 }}>
+                      {t.name}
+                      <button onClick={() => setBudgetTemplates(prev => prev.filter(x => x.id !== t.id))} style={{ background: "none", border: "none", color: "inherit", cursor: "pointer", padding: 0 }} title="Delete template">×</button>
+                    </span>
+                  ))}
+                </div>
 
-                return (
-                  <div key={cat.name} style={{ ...styles.card, cursor: "pointer", transition: "all 0.2s" }}
-                    onClick={() => setEditingCategory(editingCategory === cat.name ? null : cat.name)}>
-                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
-                      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                        <div style={{ width: 14, height: 14, borderRadius: 4, background: color }} />
-                        <span style={{ fontWeight: 600, fontSize: 14 }}>{cat.name}</span>
-                      </div>
-                      <span style={{ fontWeight: 700, fontSize: 16, fontFamily: "'Outfit', sans-serif", color: over ? "#f87171" : TEXT }}>{fmt(cat.value)}</span>
-                    </div>
+                {showBudgetHistory && renderBudgetHistory()}
 
-                    {budget > 0 && (
-                      <>
-                        <div style={{ background: CARD2, borderRadius: 8, height: 10, overflow: "hidden", marginBottom: 8 }}>
-                          <div style={{
-                            height: "100%", borderRadius: 8,
-                            width: `${pct}%`,
-                            background: over ? `linear-gradient(90deg, ${color}, #f87171)` : color,
-                            transition: "width 0.5s ease"
-                          }} />
-                        </div>
-                        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: MUTED }}>
-                          <span>{Math.round(pct)}% used</span>
-                          <span>{over ? `Over by ${fmt(cat.value - budget)}` : `${fmt(budget - cat.value)} left`}</span>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(340px, 1fr))", gap: 16 }}>
+                  {budgetCategories.map(cat => {
+                    // A parent without its own budget is budgeted as the sum of its subcategories
+                    const own = budgetFor(cat.name);
+                    const childBudget = cat.children.reduce((s, c) => s + (budgetFor(c.name)?.limit || 0), 0);
+                    const budget = own ? own.limit : childBudget;
+                    // Rolled-over overspending can leave nothing (or less) to spend this period
+                    const hasBudget = !!own || childBudget > 0;
+                    const pct = budget > 0 ? Math.min((cat.value / budget) * 100, 100) : 100;
+                    const over = hasBudget && cat.value > budget;
+                    const color = colorOf(cat.name);
+                    const expanded = expandedBudget === cat.name;
+
+                    const budgetEditor = (name, current) => (
+                      <form
+                        style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}
+                        onClick={e => e.stopPropagation()}
+                        onSubmit={e => {
+                          e.preventDefault();
+                          const form = new FormData(e.currentTarget);
+                          setBudget(name, parseFloat(form.get("amount")) || 0, form.get("period"), form.get("rollover") === "on");
+                          setEditingCategory(null);
+                        }}
+                      >
+                        <input name="amount" type="number" placeholder="Budget..." defaultValue={current?.amount || ""} style={{ ...styles.input, flex: 1, minWidth: 100 }} autoFocus />
+                        <select name="period" defaultValue={current?.period || "monthly"} style={styles.select}>
+                          {BUDGET_PERIODS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                        </select>
+                        <button type="submit" style={styles.btn("primary")}>Set</button>
+                        <label style={{ fontSize: 12, color: MUTED, display: "flex", alignItems: "center", gap: 6, width: "100%" }}>
+                          <input name="rollover" type="checkbox" defaultChecked={current?.rollover} style={{ accentColor: ACCENT }} />
+                          Roll leftover (or overspend) into the next month
+                        </label>
+                      </form>
+                    );
+                    const budgetNote = (name) => {
+                      const b = budgets[name];
+                      const f = budgetFor(name);
+                      if (!b || !f) return null;
+                      const parts = [`${fmt(b.amount, baseCurrency)} ${periodOf(b.period).label.toLowerCase()}`];
+                      if (Math.round(f.carry) !== 0) parts.push(`${f.carry > 0 ? "+" : "−"}${fmt(Math.abs(f.carry), baseCurrency)} rolled over since ${monthLabel(b.rolloverFrom)}`);
+                      else if (b.rollover) parts.push(`rolls over from ${monthLabel(b.rolloverFrom)}`);
+                      return parts.join(" · ");
+                    };
+
+                    return (
+                      <div key={cat.name} style={{ ...styles.card, cursor: "pointer", transition: "all 0.2s" }}
+                        onClick={() => setEditingCategory(editingCategory === cat.name ? null : cat.name)}>
+                        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                            <div style={{ width: 14, height: 14, borderRadius: 4, background: color }} />
+                            <span style={{ fontWeight: 600, fontSize: 14 }}>{cat.name}</span>
+                          </div>
+                          <span style={{ fontWeight: 700, fontSize: 16, fontFamily: "'Outfit', sans-serif", color: over ? "#f87171" : TEXT }}>{fmt(cat.value, baseCurrency)}</span>
                         </div>
-                      </>
-                    )}
 
-                    {!budget && (
-                      <p style={{ fontSize: 12, color: MUTED, marginTop: 4 }}>No budget set — click to add one</p>
-                    )}
+                        {hasBudget && (
+                          <>
+                            <div style={{ background: CARD2, borderRadius: 8, height: 10, overflow: "hidden", marginBottom: 8 }}>
+                              <div style={{
+                                height: "100%", borderRadius: 8,
+                                width: `${pct}%`,
+                                background: over ? `linear-gradient(90deg, ${color}, #f87171)` : color,
+                                transition: "width 0.5s ease"
+                              }} />
+                            </div>
+                            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: MUTED }}>
+                              <span>{Math.round(pct)}% used{!own && childBudget > 0 ? " · sum of subcategories" : ""}{cat.refunded > 0 ? ` · ${fmt(cat.refunded, baseCurrency)} refunded` : ""}</span>
+                              <span>{over ? `Over by ${fmt(cat.value - budget, baseCurrency)}` : `${fmt(budget - cat.value, baseCurrency)} left`}</span>
+                            </div>
+                            {own && <div style={{ fontSize: 11, color: MUTED, marginTop: 4 }}>{fmt(budget, baseCurrency)} for this period · {budgetNote(cat.name)}</div>}
+                          </>
+                        )}
 
-                    {editingCategory === cat.name && (
-                      <div style={{ marginTop: 12, display: "flex", gap: 8 }} onClick={e => e.stopPropagation()}>
-                        <input
-                          type="number"
-                          placeholder="Monthly budget..."
-                          defaultValue={budget || ""}
-                          style={styles.input}
-                          onKeyDown={e => {
-                            if (e.key === "Enter") {
-                              setBudgets(p => ({ ...p, [cat.name]: parseFloat(e.target.value) || 0 }));
-                              setEditingCategory(null);
-                            }
-                          }}
-                          autoFocus
-                        />
-                        <button
-                          onClick={(e) => {
-                            const input = e.target.previousSibling;
-                            setBudgets(p => ({ ...p, [cat.name]: parseFloat(input.value) || 0 }));
-                            setEditingCategory(null);
-                          }}
-                          style={styles.btn("primary")}
-                        >Set</button>
+                        {!hasBudget && (
+                          <p style={{ fontSize: 12, color: MUTED, marginTop: 4 }}>No budget set — click to add one</p>
+                        )}
+
+                        {editingCategory === cat.name && budgetEditor(cat.name, budgets[cat.name])}
+
+                        {cat.children.length > 0 && (
+                          <button
+                            onClick={e => { e.stopPropagation(); setExpandedBudget(expanded ? null : cat.name); }}
+                            style={{ background: "none", border: "none", color: ACCENT2, cursor: "pointer", fontSize: 12, padding: 0, marginTop: 12 }}
+                          >
+                            {expanded ? "▾" : "▸"} {cat.children.length} subcategor{cat.children.length === 1 ? "y" : "ies"}
+                          </button>
+                        )}
+
+                        {expanded && (
+                          <div style={{ marginTop: 8 }}>
+                            {[...cat.children, ...(cat.direct > 0 ? [{ name: cat.name, value: cat.direct, direct: true }] : [])].map(child => {
+                              const childLimit = child.direct ? 0 : budgetFor(child.name)?.limit || 0;
+                              const childOver = !child.direct && !!budgets[child.name] && child.value > childLimit;
+                              return (
+                                <div key={child.name} style={{ padding: "8px 0 8px 12px", borderTop: `1px solid ${BORDER}`, fontSize: 12 }}
+                                  onClick={e => { e.stopPropagation(); if (!child.direct) setEditingCategory(editingCategory === child.name ? null : child.name); }}>
+                                  <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                                    <span style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                                      <span style={{ width: 8, height: 8, borderRadius: 2, background: colorOf(child.name) }} />
+                                      {child.direct ? `${child.name} (no subcategory)` : child.name}
+                                    </span>
+                                    <span style={{ fontWeight: 600, color: childOver ? "#f87171" : TEXT }}>
+                                      {fmt(child.value, baseCurrency)}
+                                      {!child.direct && budgets[child.name] && <span style={{ color: MUTED, fontWeight: 400 }}> / {fmt(childLimit, baseCurrency)}</span>}
+                                    </span>
+                                  </div>
+                                  {budgets[child.name] && <div style={{ fontSize: 11, color: MUTED, marginTop: 2, paddingLeft: 16 }}>{budgetNote(child.name)}</div>}
+                                  {editingCategory === child.name && budgetEditor(child.name, budgets[child.name])}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
-                );
-              })}
+                    );
+                  })}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* ─── SUBSCRIPTIONS TAB ───────────────────────────────────────── */}
+        {view === "subscriptions" && (
+          <div>
+            <h3 style={{ fontSize: 18, fontWeight: 700, marginBottom: 8, fontFamily: "'Outfit', sans-serif" }}>Recurring Payments</h3>
+            <p style={{ color: MUTED, fontSize: 13, marginBottom: 24 }}>
+              Merchants that charge you on a weekly, monthly or annual cadence, found across your whole history.
+            </p>
+
+            <div style={{ display: "flex", gap: 16, marginBottom: 24, flexWrap: "wrap" }}>
+              <div style={styles.statCard(ACCENT2)}>
+                <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Active</div>
+                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: ACCENT2 }}>{activeRecurring.length}</div>
+              </div>
+              <div style={styles.statCard("#f87171")}>
+                <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Per Month</div>
+                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: "#f87171" }}>{fmt(activeRecurring.reduce((s, r) => s + r.annualized, 0) / 12, baseCurrency)}</div>
+              </div>
+              <div style={styles.statCard("#fbbf24")}>
+                <div style={{ color: MUTED, fontSize: 12, fontWeight: 600, marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Per Year</div>
+                <div style={{ fontSize: 28, fontWeight: 800, fontFamily: "'Outfit', sans-serif", color: "#fbbf24" }}>{fmt(activeRecurring.reduce((s, r) => s + r.annualized, 0), baseCurrency)}</div>
+              </div>
+            </div>
+
+            <div style={styles.card}>
+              {recurring.length === 0 ? (
+                <p style={{ color: MUTED, fontSize: 13, textAlign: "center", padding: 40 }}>No recurring charges found yet — they show up after a few months of history.</p>
+              ) : (
+                <div style={{ overflow: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                    <thead>
+                      <tr>
+                        {["Merchant", "Category", "Cadence", "Typical", "Per Year", "Last", "Next Expected", "Price Changes"].map(h => (
+                          <th key={h} style={{ padding: "10px 12px", textAlign: "left", fontWeight: 600, color: MUTED, fontSize: 11, textTransform: "uppercase", letterSpacing: "0.5px", borderBottom: `2px solid ${BORDER}` }}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {recurring.map(r => (
+                        <tr key={r.key} style={{ borderBottom: `1px solid ${BORDER}`, opacity: r.active ? 1 : 0.5 }}>
+                          <td style={{ padding: "10px 12px", maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                            {r.merchant}
+                            <div style={{ fontSize: 11, color: MUTED }}>{r.count} charges{r.account ? ` · ${r.account}` : ""}</div>
+                          </td>
+                          <td style={{ padding: "10px 12px" }}><span style={styles.badge(colorOf(r.category))}>{r.category}</span></td>
+                          <td style={{ padding: "10px 12px", color: MUTED }}>{r.cadence.label}</td>
+                          <td style={{ padding: "10px 12px", fontWeight: 600 }}>
+                            {fmtFull(r.typical, baseCurrency)}
+                            {!r.stable && <div style={{ fontSize: 11, color: MUTED, fontWeight: 400 }}>varies</div>}
+                          </td>
+                          <td style={{ padding: "10px 12px", fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>{fmt(r.annualized, baseCurrency)}</td>
+                          <td style={{ padding: "10px 12px", color: MUTED }}>{r.last.toLocaleDateString()}</td>
+                          <td style={{ padding: "10px 12px", color: r.active ? TEXT : MUTED }}>{r.active ? r.next.toLocaleDateString() : "Stopped?"}</td>
+                          <td style={{ padding: "10px 12px", fontSize: 12 }}>
+                            {r.priceChanges.length === 0 && <span style={{ color: MUTED }}>—</span>}
+                            {r.priceChanges.map(c => (
+                              <div key={c.date.getTime()} style={{ color: c.to > c.from ? "#f87171" : ACCENT }}>
+                                {c.to > c.from ? "↑" : "↓"} {fmtFull(c.from, baseCurrency)} → {fmtFull(c.to, baseCurrency)}
+                                <span style={{ color: MUTED }}> {monthLabel(monthKey(c.date))}</span>
+                              </div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -1063,40 +3841,98 @@ export default function CashFlowApp() {
         {view === "forecast" && (
           <div>
             <h3 style={{ fontSize: 18, fontWeight: 700, marginBottom: 8, fontFamily: "'Outfit', sans-serif" }}>Cash Flow Forecast</h3>
-            <p style={{ color: MUTED, fontSize: 13, marginBottom: 24 }}>
-              Based on your last 3 months of activity, here's what the next 3 months could look like.
+            <p style={{ color: MUTED, fontSize: 13, marginBottom: 16 }}>
+              Projected from {forecastMethod.hint}. Shaded bands show the range 4 months in 5 should fall within.
             </p>
 
+            <div style={{ display: "flex", gap: 16, alignItems: "flex-end", marginBottom: 24, flexWrap: "wrap" }}>
+              <label style={{ fontSize: 12, color: MUTED }}>
+                Method
+                <select
+                  value={forecastMethod.id}
+                  onChange={e => setForecastSettings(p => ({ ...p, method: e.target.value }))}
+                  style={{ ...styles.select, display: "block", marginTop: 4 }}
+                >
+                  {FORECAST_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </label>
+              <label style={{ fontSize: 12, color: MUTED }}>
+                Months ahead
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_FORECAST_MONTHS}
+                  value={forecastSettings.horizon}
+                  onChange={e => setForecastSettings(p => ({ ...p, horizon: Math.min(MAX_FORECAST_MONTHS, Math.max(1, parseInt(e.target.value) || 1)) }))}
+                  style={{ ...styles.input, width: 90, display: "block", marginTop: 4 }}
+                />
+              </label>
+            </div>
+
             {forecast.length > 0 && (
               <div style={{ display: "flex", gap: 16, marginBottom: 24, flexWrap: "wrap" }}>
-                {forecast.map(f => (
+                {forecast.slice(0, 3).map(f => (
                   <div key={f.month} style={{ ...styles.statCard(f.net >= 0 ? ACCENT : "#f87171"), minWidth: 200 }}>
                     <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 12, color: ACCENT2, fontFamily: "'Outfit', sans-serif" }}>
                       {f.label} <span style={{ fontSize: 10, color: MUTED, fontWeight: 400 }}>projected</span>
                     </div>
                     <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 6 }}>
-                      <span style={{ color: MUTED }}>Income</span><span style={{ color: ACCENT, fontWeight: 600 }}>{fmt(f.income)}</span>
+                      <span style={{ color: MUTED }}>Income</span><span style={{ color: ACCENT, fontWeight: 600 }}>{fmt(f.income, baseCurrency)}</span>
                     </div>
                     <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 6 }}>
-                      <span style={{ color: MUTED }}>Expenses</span><span style={{ color: "#f87171", fontWeight: 600 }}>{fmt(f.expenses)}</span>
+                      <span style={{ color: MUTED }}>Expenses</span><span style={{ color: "#f87171", fontWeight: 600 }}>{fmt(f.expenses, baseCurrency)}</span>
                     </div>
                     <div style={{ borderTop: `1px solid ${BORDER}`, paddingTop: 8, marginTop: 8, display: "flex", justifyContent: "space-between", fontSize: 14, fontWeight: 700 }}>
-                      <span>Net</span><span style={{ color: f.net >= 0 ? ACCENT : "#f87171", fontFamily: "'Outfit', sans-serif" }}>{f.net >= 0 ? "+" : ""}{fmt(f.net)}</span>
+                      <span>Net</span><span style={{ color: f.net >= 0 ? ACCENT : "#f87171", fontFamily: "'Outfit', sans-serif" }}>{f.net >= 0 ? "+" : ""}{fmt(f.net, baseCurrency)}</span>
+                    </div>
+                    <div style={{ fontSize: 11, color: MUTED, marginTop: 6, textAlign: "right" }}>
+                      likely {fmt(f.netLow, baseCurrency)} to {fmt(f.netHigh, baseCurrency)}
                     </div>
+                    {f.categories && f.categories.slice(0, 3).map(c => (
+                      <div key={c.name} style={{ display: "flex", justifyContent: "space-between", fontSize: 11, marginTop: 4 }}>
+                        <span style={{ color: colorOf(c.name) }}>{c.name}</span><span style={{ color: MUTED }}>{fmt(c.value, baseCurrency)}</span>
+                      </div>
+                    ))}
                   </div>
                 ))}
+                {forecast.length > 3 && (
+                  <div style={{ ...styles.statCard(ACCENT2), minWidth: 200 }}>
+                    <div style={{ fontSize: 13, fontWeight: 700, marginBottom: 12, color: ACCENT2, fontFamily: "'Outfit', sans-serif" }}>
+                      Next {forecast.length} months <span style={{ fontSize: 10, color: MUTED, fontWeight: 400 }}>through {forecast[forecast.length - 1].label}</span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 6 }}>
+                      <span style={{ color: MUTED }}>Income</span><span style={{ color: ACCENT, fontWeight: 600 }}>{fmt(forecast.reduce((s, f) => s + f.income, 0), baseCurrency)}</span>
+                    </div>
+                    <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 6 }}>
+                      <span style={{ color: MUTED }}>Expenses</span><span style={{ color: "#f87171", fontWeight: 600 }}>{fmt(forecast.reduce((s, f) => s + f.expenses, 0), baseCurrency)}</span>
+                    </div>
+                    <div style={{ borderTop: `1px solid ${BORDER}`, paddingTop: 8, marginTop: 8, display: "flex", justifyContent: "space-between", fontSize: 14, fontWeight: 700 }}>
+                      <span>Net</span><span style={{ fontFamily: "'Outfit', sans-serif" }}>{fmt(forecast.reduce((s, f) => s + f.net, 0), baseCurrency)}</span>
+                    </div>
+                  </div>
+                )}
               </div>
             )}
 
             <div style={styles.card}>
               <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 20, fontFamily: "'Outfit', sans-serif" }}>Historical + Forecast</h3>
               <ResponsiveContainer width="100%" height={320}>
-                <LineChart data={combinedMonthly}>
+                <ComposedChart data={combinedMonthly}>
                   <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
                   <XAxis dataKey="label" tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} />
-                  <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => `$${(v / 1000).toFixed(0)}k`} />
-                  <Tooltip {...customTooltip} formatter={(v, name) => [fmtFull(v), name.replace("Actual", "").replace("Forecast", " (projected)")]} />
+                  <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => fmtAxis(v, baseCurrency)} />
+                  <Tooltip {...customTooltip} formatter={(v, name) => [
+                    Array.isArray(v) ? `${fmtFull(v[0], baseCurrency)} – ${fmtFull(v[1], baseCurrency)}` : fmtFull(v, baseCurrency),
+                    name.replace("Actual", "").replace("Forecast", " (projected)"),
+                  ]} />
                   <Legend formatter={(value) => value.replace("Actual", "").replace("Forecast", " (proj.)")} />
+                  {/* Prediction bands — shaded [low, high] ranges behind the projected lines */}
+                  <Area type="monotone" dataKey="incomeBand" stroke="none" fill={ACCENT} fillOpacity={0.12}
+                    name="Income range" legendType="none" activeDot={false} connectNulls={false} />
+                  <Area type="monotone" dataKey="expensesBand" stroke="none" fill="#f87171" fillOpacity={0.12}
+                    name="Expenses range" legendType="none" activeDot={false} connectNulls={false} />
+                  <Area type="monotone" dataKey="netBand" stroke="none" fill={ACCENT2} fillOpacity={0.1}
+                    name="Net Flow range" legendType="none" activeDot={false} connectNulls={false} />
                   {/* Actual lines — solid */}
                   <Line type="monotone" dataKey="incomeActual" stroke={ACCENT} strokeWidth={2.5} dot={{ fill: ACCENT, r: 4 }}
                     name="Income" connectNulls={false} />
@@ -1111,13 +3947,234 @@ export default function CashFlowApp() {
                     dot={{ fill: "#f87171", r: 4, strokeDasharray: "" }} name="Expenses Forecast" connectNulls={false} />
                   <Line type="monotone" dataKey="netForecast" stroke={ACCENT2} strokeWidth={2} strokeDasharray="8 4"
                     dot={{ fill: ACCENT2, r: 3, strokeDasharray: "" }} name="Net Flow Forecast" connectNulls={false} />
-                </LineChart>
+                  {/* What-if scenarios — net flow of each, alongside the baseline */}
+                  {scenarioForecasts.map(s => (
+                    <Line key={s.id} type="monotone" dataKey={d => d.scenarios?.[s.id]} stroke={s.color} strokeWidth={2} strokeDasharray="3 3"
+                      dot={{ fill: s.color, r: 3, strokeDasharray: "" }} name={`${s.name} (net)`} connectNulls={false} />
+                  ))}
+                </ComposedChart>
               </ResponsiveContainer>
               <div style={{ display: "flex", gap: 16, marginTop: 12, justifyContent: "center" }}>
                 <span style={{ fontSize: 11, color: MUTED }}>━━ Solid = actual</span>
                 <span style={{ fontSize: 11, color: MUTED }}>╌╌ Dashed = projected</span>
+                <span style={{ fontSize: 11, color: MUTED }}>▒▒ Shaded = likely range</span>
+              </div>
+            </div>
+
+            <div style={{ ...styles.card, marginTop: 24 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-end", marginBottom: 16, gap: 16, flexWrap: "wrap" }}>
+                <div>
+                  <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 4, fontFamily: "'Outfit', sans-serif" }}>Projected Balance</h3>
+                  <p style={{ color: MUTED, fontSize: 13 }}>
+                    {currentBalance === null
+                      ? "Set an account balance (🏦 Balances above) to see where your balance is heading."
+                      : `From ${fmtFull(currentBalance, baseCurrency)} now, adding each month's projected net flow.`}
+                  </p>
+                </div>
+                <label style={{ fontSize: 12, color: MUTED }}>
+                  Warn below
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={calendarSettings.threshold}
+                    onChange={e => setCalendarSettings(p => ({ ...p, threshold: parseFloat(e.target.value) || 0 }))}
+                    style={{ ...styles.input, width: 140, display: "block", marginTop: 4 }}
+                  />
+                </label>
+              </div>
+              {lowBalanceMonth && (
+                <div style={{ padding: "10px 14px", borderRadius: 8, marginBottom: 16, border: "1px solid #f8717166", color: "#f87171", fontSize: 13 }}>
+                  ⚠️ Projected balance falls below {fmt(calendarSettings.threshold, baseCurrency)} by the end of {lowBalanceMonth.label} ({fmt(lowBalanceMonth.balance, baseCurrency)}).
+                </div>
+              )}
+              {projectedBalance.length > 0 && (
+                <ResponsiveContainer width="100%" height={260}>
+                  <ComposedChart data={projectedBalance}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={BORDER} />
+                    <XAxis dataKey="label" tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} />
+                    <YAxis tick={{ fill: MUTED, fontSize: 11 }} axisLine={{ stroke: BORDER }} tickFormatter={v => fmtAxis(v, baseCurrency)} />
+                    <Tooltip {...customTooltip} formatter={(v, name) => [
+                      Array.isArray(v) ? `${fmtFull(v[0], baseCurrency)} – ${fmtFull(v[1], baseCurrency)}` : fmtFull(v, baseCurrency),
+                      name,
+                    ]} />
+                    <Area type="monotone" dataKey="band" stroke="none" fill="#fbbf24" fillOpacity={0.12} name="Likely range" legendType="none" activeDot={false} />
+                    <Line type="monotone" dataKey="balance" stroke="#fbbf24" strokeWidth={2.5} dot={{ fill: "#fbbf24", r: 3 }} name="Balance" />
+                    {scenarioForecasts.map(s => (
+                      <Line key={s.id} type="monotone" dataKey={d => d.scenarios[s.id]} stroke={s.color} strokeWidth={2} strokeDasharray="3 3"
+                        dot={{ fill: s.color, r: 3, strokeDasharray: "" }} name={s.name} />
+                    ))}
+                    <ReferenceLine y={calendarSettings.threshold} stroke="#f87171" strokeDasharray="4 4" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+
+            <div style={{ ...styles.card, marginTop: 24 }}>
+              <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 8, fontFamily: "'Outfit', sans-serif" }}>What-if Scenarios</h3>
+              <p style={{ color: MUTED, fontSize: 13, marginBottom: 16 }}>
+                Layer changes — a one-off expense, a rent increase, cutting a category, a raise — on the projection and compare where each leaves you.
+              </p>
+              <div style={{ display: "flex", gap: 8, marginBottom: 16 }}>
+                <input
+                  placeholder="Scenario name (e.g. Cancel streaming)"
+                  value={newScenarioName}
+                  onChange={e => setNewScenarioName(e.target.value)}
+                  onKeyDown={e => e.key === "Enter" && addScenario()}
+                  style={{ ...styles.input, width: 260 }}
+                />
+                <button onClick={addScenario} style={{ ...styles.btn("primary"), fontSize: 13, padding: "8px 16px" }}>+ New scenario</button>
+              </div>
+
+              {forecast.length > 0 && scenarioForecasts.length > 0 && (
+                <div style={{ overflow: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                    <thead>
+                      <tr>
+                        {["Scenario", "Income", "Expenses", "Net", "vs Baseline", "Worst Month", ""].map(h => (
+                          <th key={h} style={{ padding: "10px 12px", textAlign: "left", fontWeight: 600, color: MUTED, fontSize: 11, textTransform: "uppercase", letterSpacing: "0.5px", borderBottom: `2px solid ${BORDER}` }}>{h}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[{ id: "", name: "Baseline", color: ACCENT2, forecast }, ...scenarioForecasts].map(s => {
+                        const total = key => s.forecast.reduce((sum, f) => sum + f[key], 0);
+                        const diff = total("net") - forecast.reduce((sum, f) => sum + f.net, 0);
+                        const worst = s.forecast.reduce((w, f) => f.net < w.net ? f : w);
+                        return (
+                          <tr key={s.id || "baseline"} style={{ borderBottom: `1px solid ${BORDER}`, background: s.id && s.id === editingScenario ? CARD2 : "transparent" }}>
+                            <td style={{ padding: "10px 12px", fontWeight: 600 }}>
+                              <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: 5, background: s.color, marginRight: 8 }} />
+                              {s.name}
+                              {s.adjustments && <div style={{ fontSize: 11, color: MUTED, fontWeight: 400 }}>{s.adjustments.length} change{s.adjustments.length === 1 ? "" : "s"}</div>}
+                            </td>
+                            <td style={{ padding: "10px 12px", color: ACCENT }}>{fmt(total("income"), baseCurrency)}</td>
+                            <td style={{ padding: "10px 12px", color: "#f87171" }}>{fmt(total("expenses"), baseCurrency)}</td>
+                            <td style={{ padding: "10px 12px", fontWeight: 700, fontFamily: "'Outfit', sans-serif" }}>{fmt(total("net"), baseCurrency)}</td>
+                            <td style={{ padding: "10px 12px", color: diff > 0 ? ACCENT : diff < 0 ? "#f87171" : MUTED }}>
+                              {s.id ? `${diff >= 0 ? "+" : ""}${fmt(diff, baseCurrency)}` : "—"}
+                            </td>
+                            <td style={{ padding: "10px 12px", color: worst.net < 0 ? "#f87171" : MUTED }}>
+                              {fmt(worst.net, baseCurrency)} <span style={{ fontSize: 11, color: MUTED }}>{monthLabel(worst.month)}</span>
+                            </td>
+                            <td style={{ padding: "10px 12px", whiteSpace: "nowrap", textAlign: "right" }}>
+                              {s.id && (
+                                <>
+                                  <button onClick={() => setEditingScenario(s.id)} style={{ ...styles.btn(), fontSize: 11, padding: "4px 10px" }}>Edit</button>
+                                  <button
+                                    onClick={() => { setScenarios(prev => prev.filter(x => x.id !== s.id)); if (editingScenario === s.id) setEditingScenario(null); }}
+                                    style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16, marginLeft: 4 }}
+                                    title="Delete scenario"
+                                  >×</button>
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <p style={{ fontSize: 11, color: MUTED, marginTop: 8 }}>Totals over the next {forecast.length} month{forecast.length === 1 ? "" : "s"}.</p>
+                </div>
+              )}
+              {scenarios.length === 0 && <p style={{ fontSize: 13, color: MUTED }}>No scenarios yet. Create one to try out a change before making it.</p>}
+              {renderScenarioEditor()}
+            </div>
+          </div>
+        )}
+
+        {/* ─── CALENDAR TAB ────────────────────────────────────────────── */}
+        {view === "calendar" && (
+          <div>
+            <h3 style={{ fontSize: 18, fontWeight: 700, marginBottom: 8, fontFamily: "'Outfit', sans-serif" }}>Upcoming Bills</h3>
+            <p style={{ color: MUTED, fontSize: 13, marginBottom: 24 }}>
+              Recurring income and bills expected from your history, plus anything you schedule yourself, with the balance each day would end on.
+            </p>
+
+            <div style={{ display: "flex", gap: 16, alignItems: "flex-end", marginBottom: 16, flexWrap: "wrap" }}>
+              <label style={{ fontSize: 12, color: MUTED }}>
+                Balance today
+                {currentBalance !== null ? (
+                  <div style={{ ...styles.input, width: 140, marginTop: 4, color: TEXT }} title="From your account balances">{fmtFull(currentBalance, baseCurrency)}</div>
+                ) : (
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={calendarSettings.startingBalance}
+                    onChange={e => setCalendarSettings(p => ({ ...p, startingBalance: parseFloat(e.target.value) || 0 }))}
+                    style={{ ...styles.input, width: 140, display: "block", marginTop: 4 }}
+                  />
+                )}
+              </label>
+              <label style={{ fontSize: 12, color: MUTED }}>
+                Warn below
+                <input
+                  type="number"
+                  step="0.01"
+                  value={calendarSettings.threshold}
+                  onChange={e => setCalendarSettings(p => ({ ...p, threshold: parseFloat(e.target.value) || 0 }))}
+                  style={{ ...styles.input, width: 140, display: "block", marginTop: 4 }}
+                />
+              </label>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginLeft: "auto" }}>
+                <button
+                  onClick={() => setCalendarMonth(m => { const d = parseDayKey(`${m}-01`); d.setMonth(d.getMonth() - 1); return monthKey(d); })}
+                  disabled={calendarMonth <= monthKey(new Date())}
+                  style={{ ...styles.btn(), padding: "6px 12px", opacity: calendarMonth <= monthKey(new Date()) ? 0.4 : 1 }}
+                >‹</button>
+                <span style={{ fontWeight: 700, fontFamily: "'Outfit', sans-serif", minWidth: 90, textAlign: "center" }}>{monthLabel(calendarMonth)}</span>
+                <button
+                  onClick={() => setCalendarMonth(m => { const d = parseDayKey(`${m}-01`); d.setMonth(d.getMonth() + 1); return monthKey(d); })}
+                  style={{ ...styles.btn(), padding: "6px 12px" }}
+                >›</button>
               </div>
             </div>
+
+            {lowBalanceDays.length > 0 && (
+              <div style={{ ...styles.card, padding: "12px 16px", marginBottom: 16, borderColor: "#f8717166", color: "#f87171", fontSize: 13 }}>
+                ⚠️ Projected balance drops below {fmt(calendarSettings.threshold, baseCurrency)} on {parseDayKey(lowBalanceDays[0]).toLocaleDateString()}
+                {lowBalanceDays.length > 1 ? ` and ${lowBalanceDays.length - 1} more day${lowBalanceDays.length > 2 ? "s" : ""}` : ""} through {monthLabel(calendarMonth)}.
+              </div>
+            )}
+
+            <div style={{ ...styles.card, padding: 16, marginBottom: 24 }}>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 6 }}>
+                {["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].map(d => (
+                  <div key={d} style={{ fontSize: 11, color: MUTED, fontWeight: 600, textTransform: "uppercase", padding: "0 6px 6px" }}>{d}</div>
+                ))}
+                {renderCalendarCells()}
+              </div>
+              <p style={{ fontSize: 11, color: MUTED, marginTop: 12 }}>
+                <i>Italic</i> items are expected from your history; the figure in each day is the projected end-of-day balance.
+              </p>
+            </div>
+
+            <div style={styles.card}>
+              <h3 style={{ fontSize: 15, fontWeight: 700, marginBottom: 16, fontFamily: "'Outfit', sans-serif" }}>Scheduled Items</h3>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 16 }}>
+                <input type="date" value={newScheduled.date} onChange={e => setNewScheduled(n => ({ ...n, date: e.target.value }))} style={{ ...styles.input, width: 150 }} />
+                <input placeholder="Description" value={newScheduled.description} onChange={e => setNewScheduled(n => ({ ...n, description: e.target.value }))} style={{ ...styles.input, width: 200 }} />
+                <input type="number" step="0.01" min="0" placeholder="Amount" value={newScheduled.amount} onChange={e => setNewScheduled(n => ({ ...n, amount: e.target.value }))} style={{ ...styles.input, width: 110 }} />
+                <select value={newScheduled.kind} onChange={e => setNewScheduled(n => ({ ...n, kind: e.target.value }))} style={styles.select}>
+                  <option value="bill">Bill</option>
+                  <option value="income">Income</option>
+                </select>
+                <select value={newScheduled.repeat} onChange={e => setNewScheduled(n => ({ ...n, repeat: e.target.value }))} style={styles.select}>
+                  <option value="">Once</option>
+                  {CADENCES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                </select>
+                <button onClick={addScheduledItem} style={{ ...styles.btn("primary"), fontSize: 13, padding: "8px 16px" }}>+ Add</button>
+              </div>
+              {scheduledItems.length === 0 && <p style={{ fontSize: 13, color: MUTED }}>Nothing scheduled. Add one-off or repeating bills and income the history can't predict.</p>}
+              {scheduledItems.map(item => (
+                <div key={item.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "8px 0", borderTop: `1px solid ${BORDER}`, fontSize: 13 }}>
+                  <span style={{ color: MUTED, width: 90 }}>{parseDayKey(item.date).toLocaleDateString()}</span>
+                  <span style={{ flex: 1 }}>{item.description}</span>
+                  <span style={{ color: MUTED, fontSize: 12 }}>{CADENCES.find(c => c.id === item.repeat)?.label || "Once"}</span>
+                  <span style={{ fontWeight: 600, color: item.amount >= 0 ? ACCENT : "#f87171", width: 100, textAlign: "right" }}>{fmtFull(item.amount, baseCurrency)}</span>
+                  <button onClick={() => setScheduledItems(prev => prev.filter(x => x.id !== item.id))} style={{ background: "none", border: "none", color: MUTED, cursor: "pointer", fontSize: 16 }} title="Remove">×</button>
+                </div>
+              ))}
+            </div>
           </div>
         )}
       </main>
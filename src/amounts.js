@@ -0,0 +1,54 @@
+// Amount parsing for imported statements.
+// The decimal separator is the only thing that can't be inferred from a single value,
+// so it is chosen per column. Signs are read the same way for every format: leading or
+// trailing minus, (parentheses), and CR/DR markers; currency symbols and codes are ignored.
+
+export const NUMBER_FORMATS = [
+  { id: "point", label: "1,234.56 (decimal point)" },
+  { id: "comma", label: "1.234,56 · 1 234,56 (decimal comma)" },
+];
+
+/**
+ * Parse an amount cell with the column's decimal separator ("point" or "comma").
+ * Returns a signed number; blanks and unreadable values read as 0.
+ */
+export function parseAmount(val, numberFormat = "point") {
+  if (typeof val === "number") return val;
+  if (!val) return 0;
+  let s = String(val).trim();
+  let negative = false;
+
+  if (/^\(.*\)$/.test(s)) { negative = true; s = s.slice(1, -1); }
+  const marker = /(?:^|[\s\d])(CR|DR)\.?$/i.exec(s) || /^(CR|DR)\b/i.exec(s);
+  if (marker) {
+    if (marker[1].toUpperCase() === "DR") negative = true;
+    s = s.replace(/\b(CR|DR)\.?/i, "");
+  }
+
+  // Drop currency symbols/codes; keep digits, separators and the sign
+  s = s.replace(/[^\d.,'\s-]/g, "");
+  if (s.includes("-")) negative = !negative;
+  s = s.replace(/[-'\s]/g, "");
+  s = numberFormat === "comma" ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+
+  const n = parseFloat(s) || 0;
+  return negative ? -n : n;
+}
+
+// A separator followed by one or two trailing digits must be the decimal one; when both
+// separators appear, the last is. "1,234" alone proves nothing and counts for neither.
+export function detectNumberFormat(values) {
+  let point = 0;
+  let comma = 0;
+  for (const v of values) {
+    if (typeof v === "number" || !v) continue;
+    const digits = String(v).replace(/[^\d.,]/g, "");
+    const lastDot = digits.lastIndexOf(".");
+    const lastComma = digits.lastIndexOf(",");
+    if (lastDot >= 0 && lastComma >= 0) {
+      if (lastComma > lastDot) comma++; else point++;
+    } else if (/,\d{1,2}$/.test(digits)) comma++;
+    else if (/\.\d{1,2}$/.test(digits)) point++;
+  }
+  return { format: comma > point ? "comma" : "point", ambiguous: comma === 0 && point === 0 };
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { detectNumberFormat, parseAmount } from "./amounts.js";
+
+describe("parseAmount", () => {
+  it("reads decimal points and commas per the column's format", () => {
+    expect(parseAmount("1,234.56")).toBe(1234.56);
+    expect(parseAmount("1.234,56", "comma")).toBe(1234.56);
+    expect(parseAmount("1 234,56", "comma")).toBe(1234.56);
+    expect(parseAmount("1'234.56")).toBe(1234.56);
+    expect(parseAmount(42.5)).toBe(42.5);
+  });
+
+  it("reads leading and trailing minus signs and parentheses", () => {
+    expect(parseAmount("-12.50")).toBe(-12.5);
+    expect(parseAmount("12.50-")).toBe(-12.5);
+    expect(parseAmount("(12.50)")).toBe(-12.5);
+    expect(parseAmount("(-12.50)")).toBe(12.5);
+  });
+
+  it("reads CR/DR markers", () => {
+    expect(parseAmount("12.50 DR")).toBe(-12.5);
+    expect(parseAmount("12.50CR")).toBe(12.5);
+    expect(parseAmount("DR 12.50")).toBe(-12.5);
+    expect(parseAmount("12,50 Dr.", "comma")).toBe(-12.5);
+  });
+
+  it("ignores currency symbols and codes", () => {
+    expect(parseAmount("$1,234.56")).toBe(1234.56);
+    expect(parseAmount("-€12,50", "comma")).toBe(-12.5);
+    expect(parseAmount("EUR 12,50", "comma")).toBe(12.5);
+    expect(parseAmount("12.50 USD")).toBe(12.5);
+  });
+
+  it("reads blanks and unreadable values as 0", () => {
+    expect(parseAmount("")).toBe(0);
+    expect(parseAmount(null)).toBe(0);
+    expect(parseAmount("n/a")).toBe(0);
+  });
+});
+
+describe("detectNumberFormat", () => {
+  it("takes the last separator as the decimal one", () => {
+    expect(detectNumberFormat(["1.234,56", "12,00"])).toEqual({ format: "comma", ambiguous: false });
+    expect(detectNumberFormat(["1,234.56", "-3.5"])).toEqual({ format: "point", ambiguous: false });
+  });
+
+  it("flags columns where no value settles it", () => {
+    expect(detectNumberFormat(["1,234", "500", "", 12])).toEqual({ format: "point", ambiguous: true });
+  });
+});
@@ -0,0 +1,126 @@
+// ISO 20022 camt.053 (bank-to-customer statement) parser.
+// Namespaces differ between schema versions (camt.053.001.02 … .001.10), so elements
+// are matched on their local name only.
+
+export function looksLikeCamt053(text) {
+  return /<(\w+:)?BkToCstmrStmt[\s>]/.test(text.slice(0, 5000));
+}
+
+function child(el, ...path) {
+  return path.reduce((e, name) => e && [...e.children].find(c => c.localName === name), el);
+}
+
+function children(el, name) {
+  return el ? [...el.children].filter(c => c.localName === name) : [];
+}
+
+function text(el, ...path) {
+  const found = child(el, ...path);
+  return found ? found.textContent.trim() : "";
+}
+
+// Booking dates are either <Dt>2025-01-15</Dt> or <DtTm>2025-01-15T10:00:00</DtTm>;
+// only the calendar day matters
+function parseISODate(val) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(val);
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+// The party on the other side: who paid us on a credit, who we paid on a debit.
+// Since camt.053.001.08 the name sits under an extra <Pty> element.
+function counterparty(txDtls, credit) {
+  const role = credit ? "Dbtr" : "Cdtr";
+  return text(txDtls, "RltdPties", role, "Nm") || text(txDtls, "RltdPties", role, "Pty", "Nm");
+}
+
+function remittance(txDtls) {
+  const rmt = child(txDtls, "RmtInf");
+  const unstructured = children(rmt, "Ustrd").map(u => u.textContent.trim()).join(" ");
+  return unstructured || text(rmt, "Strd", "CdtrRefInf", "Ref");
+}
+
+function describe(txDtls, entry, credit) {
+  const parts = [counterparty(txDtls, credit), remittance(txDtls)].filter(Boolean);
+  return parts.length ? parts.join(" — ") : text(entry, "AddtlNtryInf") || "Unknown";
+}
+
+// The booked closing balance (CLBD), or failing that the opening one (OPBD)
+function statementBalance(stmt) {
+  const balances = children(stmt, "Bal");
+  const ofType = code => balances.find(b => text(b, "Tp", "CdOrPrtry", "Cd") === code);
+  const bal = ofType("CLBD") || ofType("OPBD");
+  if (!bal) return null;
+  const amount = parseFloat(text(bal, "Amt"));
+  const date = parseISODate(text(bal, "Dt", "Dt") || text(bal, "Dt", "DtTm"));
+  if (isNaN(amount) || !date) return null;
+  return {
+    amount: text(bal, "CdtDbtInd") === "DBIT" ? -amount : amount,
+    date,
+    kind: text(bal, "Tp", "CdOrPrtry", "Cd") === "CLBD" ? "closing" : "opening",
+  };
+}
+
+/**
+ * Parse a camt.053 XML statement.
+ * Returns { accountId, currency, balance, transactions: [{ fitId, date, description, amount }] }.
+ * Batch entries that list several transaction details become one row per detail.
+ * The bank's entry reference (AcctSvcrRef) is used as the FITID when present.
+ * balance is the first account's latest statement balance, { amount, date, kind }, or null.
+ * Throws when the XML isn't well-formed.
+ */
+export function parseCamt053(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  const error = doc.getElementsByTagName("parsererror")[0];
+  if (error) throw new Error(`Invalid XML: ${error.textContent.trim().split("\n")[0]}`);
+  const transactions = [];
+  let accountId = "";
+  let currency = "";
+  let balance = null;
+
+  for (const stmt of doc.getElementsByTagNameNS("*", "Stmt")) {
+    const acct = text(stmt, "Acct", "Id", "IBAN") || text(stmt, "Acct", "Id", "Othr", "Id");
+    if (acct && !accountId) accountId = acct;
+    const stmtBalance = acct === accountId ? statementBalance(stmt) : null;
+    if (stmtBalance && (!balance || stmtBalance.date >= balance.date)) balance = stmtBalance;
+    const ccy = text(stmt, "Acct", "Ccy") || child(children(stmt, "Ntry")[0], "Amt")?.getAttribute("Ccy") || "";
+    if (ccy && !currency) currency = ccy.toUpperCase();
+
+    for (const entry of children(stmt, "Ntry")) {
+      // Reversals flip the meaning of the credit/debit indicator
+      const reversal = text(entry, "RvslInd") === "true";
+      const credit = (text(entry, "CdtDbtInd") === "CRDT") !== reversal;
+      const date = parseISODate(text(entry, "BookgDt", "Dt") || text(entry, "BookgDt", "DtTm") || text(entry, "ValDt", "Dt"));
+      if (!date) continue;
+
+      const ref = text(entry, "AcctSvcrRef");
+      const details = children(child(entry, "NtryDtls"), "TxDtls");
+      const itemized = details.length > 1 && details.every(d => text(d, "Amt") || text(d, "AmtDtls", "TxAmt", "Amt"));
+
+      if (itemized) {
+        details.forEach((d, i) => {
+          const amount = parseFloat(text(d, "Amt") || text(d, "AmtDtls", "TxAmt", "Amt"));
+          if (isNaN(amount)) return;
+          const dCredit = text(d, "CdtDbtInd") ? (text(d, "CdtDbtInd") === "CRDT") !== reversal : credit;
+          transactions.push({
+            fitId: ref ? `${acct}:${ref}:${i}` : "",
+            date,
+            description: describe(d, entry, dCredit),
+            amount: dCredit ? amount : -amount,
+          });
+        });
+        continue;
+      }
+
+      const amount = parseFloat(text(entry, "Amt"));
+      if (isNaN(amount)) continue;
+      transactions.push({
+        fitId: ref ? `${acct}:${ref}` : "",
+        date,
+        description: describe(details[0], entry, credit),
+        amount: credit ? amount : -amount,
+      });
+    }
+  }
+
+  return { accountId, currency, balance, transactions };
+}
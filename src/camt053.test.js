@@ -0,0 +1,46 @@
+// @vitest-environment jsdom
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { describe, expect, it } from "vitest";
+import { looksLikeCamt053, parseCamt053 } from "./camt053.js";
+
+// jsdom rewrites import.meta.url to a URL on its own origin, so resolve fixtures from the directory
+const fixture = name => readFileSync(join(import.meta.dirname, "__fixtures__", name), "utf8");
+
+describe("looksLikeCamt053", () => {
+  it("recognizes a bank-to-customer statement", () => {
+    expect(looksLikeCamt053(fixture("statement.camt053.xml"))).toBe(true);
+    expect(looksLikeCamt053("<OFX></OFX>")).toBe(false);
+  });
+});
+
+describe("parseCamt053", () => {
+  const statement = parseCamt053(fixture("statement.camt053.xml"));
+
+  it("reads the account, currency and closing balance", () => {
+    expect(statement.accountId).toBe("DE89370400440532013000");
+    expect(statement.currency).toBe("EUR");
+    expect(statement.balance).toEqual({ amount: -250.75, date: new Date(2025, 0, 31), kind: "closing" });
+  });
+
+  it("reads counterparties nested under Pty and joins remittance lines", () => {
+    expect(statement.transactions[0]).toEqual({
+      fitId: "DE89370400440532013000:REF1", date: new Date(2025, 0, 15), description: "ACME GmbH — Gehalt Januar", amount: 1500,
+    });
+  });
+
+  it("flips the sign of reversed entries", () => {
+    expect(statement.transactions[1]).toEqual({ fitId: "", date: new Date(2025, 0, 20), description: "Storno Lastschrift", amount: -39.9 });
+  });
+
+  it("splits itemized batches and applies the reversal to each detail", () => {
+    expect(statement.transactions.slice(2)).toEqual([
+      { fitId: "DE89370400440532013000:BATCH:0", date: new Date(2025, 0, 25), description: "Stadtwerke", amount: 50 },
+      { fitId: "DE89370400440532013000:BATCH:1", date: new Date(2025, 0, 25), description: "Telekom", amount: 20 },
+    ]);
+  });
+
+  it("throws on malformed XML", () => {
+    expect(() => parseCamt053("<Document><BkToCstmrStmt><Stmt></BkToCstmrStmt>")).toThrow(/Invalid XML/);
+  });
+});
@@ -0,0 +1,113 @@
+// Date parsing for imported statements.
+// new Date(string) guesses month/day order and varies by browser, so dates are
+// parsed against an explicit format detected from (or chosen for) the whole column.
+
+export const DATE_FORMATS = [
+  { id: "MDY", label: "MM/DD/YYYY" },
+  { id: "DMY", label: "DD/MM/YYYY · DD.MM.YYYY" },
+  { id: "YMD", label: "YYYY-MM-DD" },
+  { id: "excel", label: "Excel serial number" },
+];
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function fullYear(y) {
+  const n = Number(y);
+  if (y.length > 2) return n;
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+// Excel counts days from 1899-12-30 (it keeps Lotus 1-2-3's phantom 29 Feb 1900)
+function fromExcelSerial(serial) {
+  return new Date(1899, 11, 30 + Math.floor(serial));
+}
+
+function buildDate(y, m, d) {
+  const date = new Date(y, m - 1, d);
+  // Reject overflow such as 31/02, which Date would roll into March
+  return date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+}
+
+// Some statements (mostly PDFs) omit the year: take the latest one not in the future
+function buildDateWithoutYear(m, d) {
+  const now = new Date();
+  const thisYear = buildDate(now.getFullYear(), m, d);
+  return thisYear && thisYear > now ? buildDate(now.getFullYear() - 1, m, d) : thisYear;
+}
+
+/**
+ * Parse a date cell with the column's format (one of DATE_FORMATS' ids).
+ * Returns a Date at local midnight, or null when the value isn't a valid date.
+ */
+export function parseDate(val, format = "MDY") {
+  if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
+  if (val === null || val === undefined || val === "") return null;
+  if (typeof val === "number") return val > 0 && val < 100000 ? fromExcelSerial(val) : null;
+
+  const s = String(val).trim();
+  let m;
+  if (format === "excel" && /^\d{4,5}(\.\d+)?$/.test(s)) return fromExcelSerial(parseFloat(s));
+
+  // Year-first and compact dates are unambiguous whatever the column format
+  if ((m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(s))) return buildDate(Number(m[1]), Number(m[2]), Number(m[3]));
+  if ((m = /^(\d{4})(\d{2})(\d{2})$/.exec(s))) return buildDate(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  if ((m = /^(\d{1,2})[-/.](\d{1,2})(?:[-/.](\d{2,4}))?(?!\d)/.exec(s))) {
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    const [month, day] = format === "DMY" ? [b, a] : [a, b];
+    return m[3] ? buildDate(fullYear(m[3]), month, day) : buildDateWithoutYear(month, day);
+  }
+
+  // "15 Jan 2025", "15-Jan-25", "Jan 15, 2025", and without the year "15 Jan", "Jan 15"
+  if ((m = /^(\d{1,2})[ -]([A-Za-z]{3})[a-z]*\.?(?:[ -](\d{2,4}))?(?![\d:])/.exec(s))) {
+    const month = MONTH_NAMES.indexOf(m[2].toLowerCase()) + 1;
+    if (!month) return null;
+    return m[3] ? buildDate(fullYear(m[3]), month, Number(m[1])) : buildDateWithoutYear(month, Number(m[1]));
+  }
+  if ((m = /^([A-Za-z]{3})[a-z]*\.? (\d{1,2})(?:,? (\d{2,4}))?(?![\d:])/.exec(s))) {
+    const month = MONTH_NAMES.indexOf(m[1].toLowerCase()) + 1;
+    if (!month) return null;
+    return m[3] ? buildDate(fullYear(m[3]), month, Number(m[2])) : buildDateWithoutYear(month, Number(m[2]));
+  }
+  return null;
+}
+
+// Sample a date column and pick the format that reads it. A day above 12 settles the
+// order; otherwise dotted dates lean European and slashes lean US, flagged as ambiguous.
+export function detectDateFormat(values) {
+  const sample = values.filter(v => v !== null && v !== undefined && v !== "" && !(v instanceof Date)).slice(0, 200);
+  const votes = { MDY: 0, DMY: 0, YMD: 0, excel: 0 };
+  let dmyCertain = false;
+  let mdyCertain = false;
+  let dotted = 0;
+
+  for (const v of sample) {
+    const s = String(v).trim();
+    let m;
+    if (typeof v === "number" || /^\d{5}(\.\d+)?$/.test(s)) votes.excel++;
+    else if (/^\d{4}[-/.]?\d{1,2}[-/.]?\d{1,2}/.test(s)) votes.YMD++;
+    else if ((m = /^(\d{1,2})([-/.])(\d{1,2})/.exec(s))) {
+      if (Number(m[1]) > 12) dmyCertain = true;
+      if (Number(m[3]) > 12) mdyCertain = true;
+      if (m[2] === ".") dotted++;
+      votes.MDY++;
+    }
+  }
+
+  if (votes.excel > votes.MDY && votes.excel >= votes.YMD) return { format: "excel", ambiguous: false };
+  if (votes.YMD > votes.MDY) return { format: "YMD", ambiguous: false };
+  if (dmyCertain && !mdyCertain) return { format: "DMY", ambiguous: false };
+  if (mdyCertain && !dmyCertain) return { format: "MDY", ambiguous: false };
+  return { format: dotted > votes.MDY / 2 ? "DMY" : "MDY", ambiguous: votes.MDY > 0 };
+}
+
+// Transactions are grouped by month under "YYYY-MM" keys
+export function monthKey(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+export function monthLabel(key) {
+  const [y, m] = key.split("-");
+  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  return `${months[parseInt(m) - 1]} ${y}`;
+}
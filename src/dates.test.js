@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { detectDateFormat, parseDate } from "./dates.js";
+
+describe("parseDate", () => {
+  afterEach(() => vi.useRealTimers());
+
+  it("reads day and month in the column's order", () => {
+    expect(parseDate("03/04/2025", "MDY")).toEqual(new Date(2025, 2, 4));
+    expect(parseDate("03/04/2025", "DMY")).toEqual(new Date(2025, 3, 3));
+    expect(parseDate("03.04.25", "DMY")).toEqual(new Date(2025, 3, 3));
+    expect(parseDate("3-4-99", "MDY")).toEqual(new Date(1999, 2, 4));
+  });
+
+  it("reads year-first and compact dates whatever the format", () => {
+    expect(parseDate("2025-01-15", "DMY")).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("2025/1/5 14:30", "MDY")).toEqual(new Date(2025, 0, 5));
+    expect(parseDate("20250115", "DMY")).toEqual(new Date(2025, 0, 15));
+  });
+
+  it("reads month names", () => {
+    expect(parseDate("15 Jan 2025")).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("15-Jan-25")).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("January 15, 2025")).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("Sept. 3 2024")).toEqual(new Date(2024, 8, 3));
+    expect(parseDate("15 Foo 2025")).toBeNull();
+  });
+
+  it("reads Excel serial numbers", () => {
+    expect(parseDate(45672)).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("45672", "excel")).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("45672", "MDY")).toBeNull();
+  });
+
+  it("takes the latest past year when the year is missing", () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2025, 2, 10));
+    expect(parseDate("15 Jan")).toEqual(new Date(2025, 0, 15));
+    expect(parseDate("Dec 24")).toEqual(new Date(2024, 11, 24));
+    expect(parseDate("24.12", "DMY")).toEqual(new Date(2024, 11, 24));
+  });
+
+  it("rejects impossible and empty dates", () => {
+    expect(parseDate("31/02/2025", "DMY")).toBeNull();
+    expect(parseDate("13/13/2025", "MDY")).toBeNull();
+    expect(parseDate("")).toBeNull();
+    expect(parseDate(null)).toBeNull();
+    expect(parseDate("pending")).toBeNull();
+    expect(parseDate(new Date(NaN))).toBeNull();
+  });
+});
+
+describe("detectDateFormat", () => {
+  it("settles the order from a day above 12", () => {
+    expect(detectDateFormat(["01/02/2025", "25/02/2025"])).toEqual({ format: "DMY", ambiguous: false });
+    expect(detectDateFormat(["01/02/2025", "02/25/2025"])).toEqual({ format: "MDY", ambiguous: false });
+  });
+
+  it("flags ambiguous columns, leaning European for dotted dates", () => {
+    expect(detectDateFormat(["01/02/2025", "03/04/2025"])).toEqual({ format: "MDY", ambiguous: true });
+    expect(detectDateFormat(["01.02.2025", "03.04.2025"])).toEqual({ format: "DMY", ambiguous: true });
+  });
+
+  it("recognizes year-first dates and Excel serials", () => {
+    expect(detectDateFormat(["2025-01-02", "2025-01-03"])).toEqual({ format: "YMD", ambiguous: false });
+    expect(detectDateFormat([45672, "45673"])).toEqual({ format: "excel", ambiguous: false });
+  });
+});
@@ -0,0 +1,171 @@
+import { monthKey, monthLabel } from "./dates.js";
+
+// Cash-flow forecasting and what-if scenarios.
+// Each method projects one monthly series. Its spread is how far the same method would
+// have been off on the months already seen (one step ahead), and bands are 80%
+// prediction intervals assuming roughly normal errors.
+
+export const FORECAST_METHODS = [
+  { id: "average", label: "Moving average", hint: "the average of your last 3 months" },
+  { id: "trend", label: "Linear trend", hint: "the trend line through your whole history" },
+  { id: "seasonal", label: "Seasonal", hint: "the same month last year, shifted by how this year compares" },
+  { id: "category", label: "Per category", hint: "each spending category projected on its own (seasonally where there is a year of history)" },
+];
+export const FORECAST_WINDOW = 3;
+export const MAX_FORECAST_MONTHS = 24;
+export const INTERVAL_Z = 1.28;
+
+export function addMonths(key, n) {
+  const [y, m] = key.split("-").map(Number);
+  return monthKey(new Date(y, m - 1 + n, 1));
+}
+
+const mean = values => values.reduce((s, v) => s + v, 0) / values.length;
+
+// Root mean square of the errors, 0 with nothing to go on
+const rms = errors => errors.length ? Math.sqrt(errors.reduce((s, e) => s + e * e, 0) / errors.length) : 0;
+
+// Project `values` (one per entry of `months`) `horizon` months ahead: [{ value, sd }].
+// Trend and seasonal fall back to the moving average without enough history for them.
+export function projectSeries(months, values, method, horizon) {
+  const n = values.length;
+  const steps = Array.from({ length: horizon }, (_, i) => i + 1);
+
+  if (method === "trend" && n >= 3) {
+    const xMean = (n - 1) / 2;
+    const yMean = mean(values);
+    const sxx = values.reduce((s, _, x) => s + (x - xMean) ** 2, 0);
+    const slope = values.reduce((s, y, x) => s + (x - xMean) * (y - yMean), 0) / sxx;
+    const fit = x => yMean + slope * (x - xMean);
+    const s = Math.sqrt(values.reduce((sum, y, x) => sum + (y - fit(x)) ** 2, 0) / (n - 2));
+    return steps.map(h => {
+      const x = n - 1 + h;
+      return { value: fit(x), sd: s * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx) };
+    });
+  }
+
+  if (method === "seasonal") {
+    const byMonth = new Map(months.map((k, i) => [k, values[i]]));
+    // How much higher these months ran than the same months a year earlier
+    const shift = keys => {
+      const diffs = keys.filter(k => byMonth.has(addMonths(k, -12))).map(k => byMonth.get(k) - byMonth.get(addMonths(k, -12)));
+      return diffs.length ? mean(diffs) : 0;
+    };
+    const errors = [];
+    months.forEach((k, i) => {
+      const lastYear = addMonths(k, -12);
+      if (byMonth.has(lastYear)) errors.push(values[i] - byMonth.get(lastYear) - shift(months.slice(Math.max(0, i - FORECAST_WINDOW), i)));
+    });
+    if (errors.length > 0) {
+      const recentShift = shift(months.slice(-FORECAST_WINDOW));
+      const fallback = mean(values.slice(-FORECAST_WINDOW));
+      const sd = rms(errors);
+      const projected = new Map();
+      return steps.map(h => {
+        const k = addMonths(months[n - 1], h);
+        const lastYear = addMonths(k, -12);
+        // Past the first year, repeat the year just projected
+        const value = byMonth.has(lastYear) ? byMonth.get(lastYear) + recentShift : projected.get(lastYear) ?? fallback;
+        projected.set(k, value);
+        return { value, sd: sd * Math.sqrt(Math.ceil(h / 12)) };
+      });
+    }
+  }
+
+  const level = mean(values.slice(-FORECAST_WINDOW));
+  const errors = values.slice(1).map((v, i) => v - mean(values.slice(Math.max(0, i + 1 - FORECAST_WINDOW), i + 1)));
+  const sd = rms(errors);
+  // A flat projection drifts further from reality the further out it reaches
+  return steps.map(h => ({ value: level, sd: sd * Math.sqrt(h) }));
+}
+
+/**
+ * Project monthly income and expenses `horizon` months past the last entry of `monthly`
+ * ([{ month, income, expenses, byCategory }], byCategory being { [category]: spent }).
+ * Returns [{ month, income, expenses, net }] with incomeLow/incomeHigh and so on for the
+ * prediction band; the per-category method adds categories: [{ name, value }].
+ */
+export function forecastMonthly(monthly, method, horizon) {
+  if (monthly.length < 2) return [];
+  const months = monthly.map(d => d.month);
+  const band = ({ value, sd }, floor = 0) => [value, Math.max(floor, value - INTERVAL_Z * sd), value + INTERVAL_Z * sd];
+
+  let income, expenses, categories = null;
+  if (method === "category") {
+    income = projectSeries(months, monthly.map(d => d.income), "seasonal", horizon);
+    const names = [...new Set(monthly.flatMap(d => Object.keys(d.byCategory)))];
+    const perCategory = names.map(name => ({
+      name,
+      steps: projectSeries(months, monthly.map(d => d.byCategory[name] || 0), "seasonal", horizon),
+    }));
+    expenses = income.map((_, i) => {
+      const parts = perCategory.map(c => c.steps[i]);
+      return { value: parts.reduce((s, p) => s + Math.max(0, p.value), 0), sd: Math.sqrt(parts.reduce((s, p) => s + p.sd ** 2, 0)) };
+    });
+    categories = income.map((_, i) => perCategory
+      .map(c => ({ name: c.name, value: Math.round(Math.max(0, c.steps[i].value)) }))
+      .filter(c => c.value > 0)
+      .sort((a, b) => b.value - a.value));
+  } else {
+    income = projectSeries(months, monthly.map(d => d.income), method, horizon);
+    expenses = projectSeries(months, monthly.map(d => d.expenses), method, horizon);
+  }
+
+  return income.map((inc, i) => {
+    const exp = expenses[i];
+    const month = addMonths(months[months.length - 1], i + 1);
+    const [incomeValue, incomeLow, incomeHigh] = band({ value: Math.max(0, inc.value), sd: inc.sd });
+    const [expensesValue, expensesLow, expensesHigh] = band({ value: Math.max(0, exp.value), sd: exp.sd });
+    const [net, netLow, netHigh] = band({ value: incomeValue - expensesValue, sd: Math.hypot(inc.sd, exp.sd) }, -Infinity);
+    return {
+      month,
+      label: monthLabel(month),
+      income: Math.round(incomeValue), incomeLow: Math.round(incomeLow), incomeHigh: Math.round(incomeHigh),
+      expenses: Math.round(expensesValue), expensesLow: Math.round(expensesLow), expensesHigh: Math.round(expensesHigh),
+      net: Math.round(net), netLow: Math.round(netLow), netHigh: Math.round(netHigh),
+      ...(categories && { categories: categories[i] }),
+      forecast: true,
+    };
+  });
+}
+
+// What-if scenarios layer adjustments on the forecast. Amounts are per month and in the
+// base currency; a blank month means "from the start of the forecast".
+export const SCENARIO_ADJUSTMENTS = [
+  { id: "once", label: "One-off", amountHint: "Amount (− to spend)" },
+  { id: "recurring", label: "Spending change", amountHint: "Extra per month" },
+  { id: "category", label: "Category %", amountHint: "% change" },
+  { id: "income", label: "Income change", amountHint: "Change per month" },
+];
+export const SCENARIO_COLORS = ["#a78bfa", "#fbbf24", "#f472b6", "#22d3ee", "#fb923c"];
+
+/**
+ * Apply a scenario's adjustments ({ type, month, amount, category, percent }) to a forecast.
+ * One-offs are signed like transactions; spending and income changes add to expenses and
+ * income from their month on; category percentages scale the month's projected spending
+ * in the category, or `recentSpend` ({ [category]: monthly average }) when the forecast
+ * has no breakdown. Returns [{ month, income, expenses, net }].
+ */
+export function applyScenario(forecast, scenario, recentSpend) {
+  return forecast.map(f => {
+    let { income, expenses } = f;
+    for (const a of scenario.adjustments) {
+      const started = !a.month || f.month >= a.month;
+      if (a.type === "once") {
+        if (f.month !== a.month) continue;
+        if (a.amount > 0) income += a.amount;
+        else expenses -= a.amount;
+      } else if (a.type === "recurring" && started) {
+        expenses += a.amount;
+      } else if (a.type === "income" && started) {
+        income += a.amount;
+      } else if (a.type === "category" && started) {
+        const base = f.categories?.find(c => c.name === a.category)?.value ?? recentSpend[a.category] ?? 0;
+        expenses += base * a.percent / 100;
+      }
+    }
+    income = Math.round(Math.max(0, income));
+    expenses = Math.round(Math.max(0, expenses));
+    return { month: f.month, income, expenses, net: income - expenses };
+  });
+}
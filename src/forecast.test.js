@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { addMonths, applyScenario, forecastMonthly, projectSeries } from "./forecast.js";
+
+// Consecutive "YYYY-MM" keys starting at `first`
+const monthsFrom = (first, n) => Array.from({ length: n }, (_, i) => addMonths(first, i));
+
+describe("addMonths", () => {
+  it("moves across year boundaries in both directions", () => {
+    expect(addMonths("2024-11", 3)).toBe("2025-02");
+    expect(addMonths("2025-01", -12)).toBe("2024-01");
+    expect(addMonths("2025-03", 0)).toBe("2025-03");
+  });
+});
+
+describe("projectSeries", () => {
+  it("projects the recent average flat, widening the spread with distance", () => {
+    const steps = projectSeries(monthsFrom("2025-01", 5), [100, 200, 100, 200, 300], "average", 2);
+    expect(steps.map(s => s.value)).toEqual([200, 200]);
+    expect(steps[0].sd).toBeGreaterThan(0);
+    expect(steps[1].sd).toBeCloseTo(steps[0].sd * Math.SQRT2);
+  });
+
+  it("extends a linear trend", () => {
+    const steps = projectSeries(monthsFrom("2025-01", 4), [100, 200, 300, 400], "trend", 2);
+    expect(steps[0].value).toBeCloseTo(500);
+    expect(steps[1].value).toBeCloseTo(600);
+    expect(steps[0].sd).toBeCloseTo(0);
+  });
+
+  it("repeats last year shifted by how this year compares", () => {
+    const values = [100, 100, 100, 500, 100, 100, 100, 100, 100, 100, 100, 100, 110, 110, 110];
+    const steps = projectSeries(monthsFrom("2024-01", 15), values, "seasonal", 13);
+    expect(steps[0].value).toBeCloseTo(510);
+    expect(steps[1].value).toBeCloseTo(110);
+    // Past the first year it repeats the year it just projected
+    expect(steps[12].value).toBeCloseTo(510);
+  });
+
+  it("falls back to the moving average without enough history", () => {
+    const months = monthsFrom("2025-01", 2);
+    expect(projectSeries(months, [100, 300], "trend", 1)).toEqual(projectSeries(months, [100, 300], "average", 1));
+    expect(projectSeries(months, [100, 300], "seasonal", 1)).toEqual(projectSeries(months, [100, 300], "average", 1));
+  });
+});
+
+describe("forecastMonthly", () => {
+  const monthly = monthsFrom("2025-01", 3).map(month => ({ month, income: 3000, expenses: 2000, byCategory: { Rent: 1500, Food: 500 } }));
+
+  it("needs at least two months of history", () => {
+    expect(forecastMonthly(monthly.slice(0, 1), "average", 3)).toEqual([]);
+  });
+
+  it("labels the months after the last one and nets income against expenses", () => {
+    const [first, second] = forecastMonthly(monthly, "average", 2);
+    expect(first).toEqual({
+      month: "2025-04", label: "Apr 2025",
+      income: 3000, incomeLow: 3000, incomeHigh: 3000,
+      expenses: 2000, expensesLow: 2000, expensesHigh: 2000,
+      net: 1000, netLow: 1000, netHigh: 1000,
+      forecast: true,
+    });
+    expect(second.month).toBe("2025-05");
+  });
+
+  it("breaks expenses down by category for the per-category method", () => {
+    const [first] = forecastMonthly(monthly, "category", 1);
+    expect(first.expenses).toBe(2000);
+    expect(first.categories).toEqual([{ name: "Rent", value: 1500 }, { name: "Food", value: 500 }]);
+  });
+});
+
+describe("applyScenario", () => {
+  const forecast = [
+    { month: "2025-04", income: 3000, expenses: 2000, categories: [{ name: "Food", value: 400 }] },
+    { month: "2025-05", income: 3000, expenses: 2000 },
+  ];
+
+  it("applies one-offs to their month only", () => {
+    const scenario = { adjustments: [{ type: "once", month: "2025-05", amount: -1200 }, { type: "once", month: "2025-04", amount: 500 }] };
+    expect(applyScenario(forecast, scenario, {})).toEqual([
+      { month: "2025-04", income: 3500, expenses: 2000, net: 1500 },
+      { month: "2025-05", income: 3000, expenses: 3200, net: -200 },
+    ]);
+  });
+
+  it("applies recurring changes from their month on, or from the start without one", () => {
+    const scenario = { adjustments: [{ type: "recurring", month: "2025-05", amount: 100 }, { type: "income", month: "", amount: -3500 }] };
+    expect(applyScenario(forecast, scenario, {})).toEqual([
+      { month: "2025-04", income: 0, expenses: 2000, net: -2000 },
+      { month: "2025-05", income: 0, expenses: 2100, net: -2100 },
+    ]);
+  });
+
+  it("scales category spending from the forecast or from recent spending", () => {
+    const scenario = { adjustments: [{ type: "category", month: "", category: "Food", percent: -50 }] };
+    expect(applyScenario(forecast, scenario, { Food: 300 }).map(f => f.expenses)).toEqual([1800, 1850]);
+  });
+});
@@ -0,0 +1,128 @@
+// SWIFT MT940 statement parser.
+// Statements are tagged lines (":20:", ":25:", ":61:", ":86:" …); a tag's value runs
+// until the next tag, and each ":61:" statement line is optionally followed by an
+// ":86:" line carrying the counterparty and remittance information.
+
+export function looksLikeMT940(text) {
+  return /(^|\n):20:/.test(text) && /\n:25:/.test(text) && /\n:61:/.test(text);
+}
+
+// :61: value date YYMMDD, optional entry date MMDD, mark (C, D, RC, RD), optional funds
+// code, amount with decimal comma, transaction type, customer reference, //bank reference
+const STATEMENT_LINE = /^(\d{2})(\d{2})(\d{2})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)[NFS][A-Z0-9]{3}([^/\n]*)(?:\/\/([^\n]*))?/;
+
+function parseStatementLine(val) {
+  const m = STATEMENT_LINE.exec(val);
+  if (!m) return null;
+  const year = 2000 + Number(m[1]);
+  const valueMonth = Number(m[2]);
+  let date = new Date(year, valueMonth - 1, Number(m[3]));
+
+  // The booking (entry) date has no year; borrow the value date's, correcting across New Year
+  if (m[4]) {
+    const month = Number(m[4].slice(0, 2));
+    let entryYear = year;
+    if (month === 12 && valueMonth === 1) entryYear--;
+    if (month === 1 && valueMonth === 12) entryYear++;
+    date = new Date(entryYear, month - 1, Number(m[4].slice(2)));
+  }
+
+  const amount = parseFloat(m[7].replace(",", "."));
+  // RD reverses a debit (money back in), RC reverses a credit
+  const credit = m[5] === "C" || m[5] === "RD";
+  const bankRef = (m[9] || "").trim();
+  return { date, amount: credit ? amount : -amount, bankRef: /^NONREF$/i.test(bankRef) ? "" : bankRef };
+}
+
+// German banks structure :86: as "166?00SEPA-UEBERWEISUNG?20remittance…?32name?33name…",
+// Dutch banks as "/NAME/…/REMI/…"; anything else is free text.
+function parseInformation(val) {
+  if (/^\d{3}\?/.test(val)) {
+    const fields = {};
+    for (const m of val.matchAll(/\?(\d{2})([^?]*)/g)) fields[m[1]] = (fields[m[1]] || "") + m[2];
+    const remi = Object.keys(fields).filter(k => k >= "20" && k <= "29").sort().map(k => fields[k]).join("");
+    const name = [fields["32"], fields["33"]].filter(Boolean).join("");
+    return { counterparty: name.trim(), remittance: remi.trim() || (fields["00"] || "").trim() };
+  }
+  if (/^\/[A-Z]{4}\//.test(val)) {
+    const name = (/\/NAME\/([^/]*)/.exec(val) || /\/CNTP\/[^/]*\/[^/]*\/([^/]*)\//.exec(val) || [])[1] || "";
+    const remi = (/\/REMI\/(?:USTD\/\/|STRD\/CUR\/\/)?([^/]*)/.exec(val) || [])[1] || "";
+    return { counterparty: name.trim(), remittance: remi.trim() };
+  }
+  return { counterparty: "", remittance: val.trim() };
+}
+
+function splitTags(block) {
+  const tags = [];
+  for (const line of block.split(/\r?\n/)) {
+    const m = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (m) tags.push({ tag: m[1], value: m[2] });
+    else if (tags.length && line.trim() !== "-") {
+      // Continuation line. Structured :86: fields wrap mid-word, free text wraps between words.
+      const last = tags[tags.length - 1];
+      last.value += last.tag === "86" && /^(\d{3}\?|\/[A-Z]{4}\/)/.test(last.value) ? line : `\n${line}`;
+    }
+  }
+  return tags;
+}
+
+// :60F: / :62F: balances: mark (C or D), YYMMDD, currency, amount with decimal comma
+function parseBalance(val, kind) {
+  const m = /^([CD])(\d{2})(\d{2})(\d{2})[A-Z]{3}(\d+,\d*)/.exec(val.trim());
+  if (!m) return null;
+  const amount = parseFloat(m[5].replace(",", "."));
+  return { amount: m[1] === "D" ? -amount : amount, date: new Date(2000 + Number(m[2]), Number(m[3]) - 1, Number(m[4])), kind };
+}
+
+/**
+ * Parse an MT940 statement file (one or more statements, with or without SWIFT
+ * {1:}{2:}{4: envelopes). Returns { accountId, currency, balance, transactions: [{ fitId, date, description, amount }] },
+ * where balance is the first account's last closing balance (or its first opening
+ * balance), { amount, date, kind }, or null.
+ */
+export function parseMT940(text) {
+  const transactions = [];
+  let accountId = "";
+  let currency = "";
+  let acct = "";
+  let pending = null;
+  let opening = null;
+  let closing = null;
+
+  const flush = () => {
+    if (!pending) return;
+    const { line, info } = pending;
+    const parts = [info.counterparty, info.remittance].filter(Boolean);
+    transactions.push({
+      fitId: line.bankRef ? `${acct}:${line.bankRef}` : "",
+      date: line.date,
+      description: parts.length ? parts.join(" — ") : "Unknown",
+      amount: line.amount,
+    });
+    pending = null;
+  };
+
+  for (const { tag, value } of splitTags(text.replace(/\{[1-3]:[^}]*\}|\{4:|-\}|\{5:.*/g, ""))) {
+    if (tag === "25") {
+      flush();
+      acct = value.trim();
+      if (!accountId) accountId = acct;
+    } else if (tag === "60F" || tag === "60M") {
+      // Opening balance: mark, YYMMDD, then the ISO currency code
+      if (!currency) currency = value.trim().slice(7, 10).toUpperCase();
+      if (tag === "60F" && acct === accountId && !opening) opening = parseBalance(value, "opening");
+    } else if (tag === "62F" && acct === accountId) {
+      closing = parseBalance(value, "closing") || closing;
+    } else if (tag === "61") {
+      flush();
+      const line = parseStatementLine(value);
+      if (line) pending = { line, info: { counterparty: "", remittance: value.split("\n")[1]?.trim() || "" } };
+    } else if (tag === "86" && pending) {
+      pending.info = parseInformation(value.replace(/\n/g, " "));
+      flush();
+    }
+  }
+  flush();
+
+  return { accountId, currency, balance: closing || opening, transactions };
+}
@@ -0,0 +1,48 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { looksLikeMT940, parseMT940 } from "./mt940.js";
+
+const fixture = name => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), "utf8");
+
+describe("looksLikeMT940", () => {
+  it("recognizes tagged statement lines", () => {
+    expect(looksLikeMT940(fixture("statement.sta"))).toBe(true);
+    expect(looksLikeMT940("Date;Amount\n")).toBe(false);
+  });
+});
+
+describe("parseMT940", () => {
+  const statement = parseMT940(fixture("statement.sta"));
+  const [power, salary, bakery, returned] = statement.transactions;
+
+  it("reads the first account, its currency and its closing balance", () => {
+    expect(statement.accountId).toBe("37040044/0532013000");
+    expect(statement.currency).toBe("EUR");
+    expect(statement.balance).toEqual({ amount: 3487.5, date: new Date(2025, 0, 4), kind: "closing" });
+  });
+
+  it("reads German structured :86: fields, joining wrapped lines mid-word", () => {
+    expect(power).toEqual({
+      fitId: "37040044/0532013000:BANKREF1", date: new Date(2025, 0, 2),
+      description: "Stadtwerke Musterstadt — Stromabschlag JanuarVertrag 4711", amount: -45.1,
+    });
+  });
+
+  it("reads Dutch /NAME/ fields and corrects the entry date across New Year", () => {
+    expect(salary).toEqual({ fitId: "", date: new Date(2025, 0, 2), description: "ACME BV — Salary December", amount: 2500 });
+  });
+
+  it("keeps free-text :86: lines and ignores NONREF bank references", () => {
+    expect(bakery).toEqual({ fitId: "", date: new Date(2025, 0, 3), description: "Kartenzahlung Bäckerei Hauptstraße", amount: -12.5 });
+  });
+
+  it("treats a reversed debit as money back in", () => {
+    expect(returned.amount).toBe(45.1);
+    expect(returned.fitId).toBe("37040044/0532013000:BANKREF2");
+  });
+
+  it("reads every statement in the file", () => {
+    expect(statement.transactions).toHaveLength(5);
+    expect(statement.transactions[4]).toMatchObject({ fitId: "", description: "Other account", amount: -1 });
+  });
+});
@@ -0,0 +1,80 @@
+// OFX / QFX statement parser.
+// Handles both flavors banks ship: OFX 1.x SGML (leaf tags are never closed) and
+// OFX 2.x XML. Leaf values are read up to the next "<" or line break, which works
+// for either, so no SGML→XML conversion is needed.
+
+export function looksLikeOFX(text) {
+  return /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+}
+
+function decodeEntities(val) {
+  return val
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function readTag(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? decodeEntities(m[1].trim()) : "";
+}
+
+// OFX dates look like 20250314, 20250314120000 or 20250314120000.000[-5:EST];
+// only the calendar day matters here
+function parseOFXDate(val) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(val);
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+/**
+ * Parse an OFX/QFX document.
+ * Returns { accountId, currency, balance, transactions: [{ fitId, date, description, amount }] }.
+ * A file may hold several statements of one account; each transaction keeps the FITID
+ * the bank assigned, which is unique per account. balance is the ledger balance,
+ * { amount, date, kind: "closing" }, or null when the file has none.
+ * Throws when the file holds statements for more than one account, since they would
+ * land in a single dataset.
+ */
+export function parseOFX(text) {
+  const transactions = [];
+  let accountId = "";
+  let currency = "";
+  let balance = null;
+
+  const statements = text.split(/<\/?(?:STMTRS|CCSTMTRS)>/i);
+  for (const stmt of statements) {
+    const acct = readTag(stmt, "ACCTID");
+    if (acct && !accountId) accountId = acct;
+    if (acct && acct !== accountId) {
+      throw new Error(`This file holds statements for more than one account (${accountId}, ${acct}). Export each account to its own file.`);
+    }
+    const curdef = readTag(stmt, "CURDEF");
+    if (curdef && !currency) currency = curdef.toUpperCase();
+
+    const ledger = stmt.match(/<LEDGERBAL>[\s\S]*?<\/LEDGERBAL>/i);
+    if (ledger && !balance && (!acct || acct === accountId)) {
+      const amount = parseFloat(readTag(ledger[0], "BALAMT").replace(",", "."));
+      const date = parseOFXDate(readTag(ledger[0], "DTASOF"));
+      if (!isNaN(amount) && date) balance = { amount, date, kind: "closing" };
+    }
+
+    const blocks = stmt.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    for (const block of blocks) {
+      const date = parseOFXDate(readTag(block, "DTPOSTED") || readTag(block, "DTUSER"));
+      const amount = parseFloat(readTag(block, "TRNAMT").replace(",", "."));
+      if (!date || isNaN(amount)) continue;
+
+      const name = readTag(block, "NAME") || readTag(block, "PAYEE");
+      const memo = readTag(block, "MEMO");
+      const fitId = readTag(block, "FITID");
+      transactions.push({
+        fitId: fitId ? `${acct || accountId}:${fitId}` : "",
+        date,
+        description: name || memo || "Unknown",
+        amount,
+      });
+    }
+  }
+
+  return { accountId, currency, balance, transactions };
+}
@@ -0,0 +1,45 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { looksLikeOFX, parseOFX } from "./ofx.js";
+
+const fixture = name => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), "utf8");
+
+describe("looksLikeOFX", () => {
+  it("recognizes SGML and XML headers", () => {
+    expect(looksLikeOFX(fixture("checking-sgml.ofx"))).toBe(true);
+    expect(looksLikeOFX(fixture("card-xml.qfx"))).toBe(true);
+    expect(looksLikeOFX("Date,Description,Amount\n")).toBe(false);
+  });
+});
+
+describe("parseOFX", () => {
+  it("reads an OFX 1.x SGML bank statement", () => {
+    const { accountId, currency, balance, transactions } = parseOFX(fixture("checking-sgml.ofx"));
+    expect(accountId).toBe("NL91ABNA0417164300");
+    expect(currency).toBe("EUR");
+    expect(balance).toEqual({ amount: 1234.56, date: new Date(2025, 0, 31), kind: "closing" });
+    expect(transactions).toEqual([
+      { fitId: "NL91ABNA0417164300:T1", date: new Date(2025, 0, 5), description: "Albert Heijn & Co", amount: -42.5 },
+      { fitId: "NL91ABNA0417164300:T2", date: new Date(2025, 0, 15), description: "Salary January", amount: 2500 },
+      { fitId: "", date: new Date(2025, 0, 20), description: "Coffee Bar", amount: -10 },
+    ]);
+  });
+
+  it("reads an OFX 2.x XML credit card statement", () => {
+    const { accountId, currency, balance, transactions } = parseOFX(fixture("card-xml.qfx"));
+    expect(accountId).toBe("4111222233334444");
+    expect(currency).toBe("USD");
+    expect(balance).toBeNull();
+    expect(transactions).toEqual([
+      { fitId: "4111222233334444:C1", date: new Date(2025, 2, 2), description: "Streaming Service", amount: -15.99 },
+    ]);
+  });
+
+  it("rejects a file with statements for several accounts", () => {
+    expect(() => parseOFX(fixture("two-accounts.ofx"))).toThrow(/more than one account/);
+  });
+
+  it("returns no transactions for a file without statements", () => {
+    expect(parseOFX("OFXHEADER:100\n<OFX></OFX>").transactions).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+// PDF statement text extraction.
+// pdf.js hands back positioned text fragments; these are regrouped into visual lines
+// (same baseline) and each line into cells (fragments separated by a column-sized gap),
+// keeping every cell's horizontal extent so a table can be rebuilt from it.
+// pdf.js is loaded on demand so it only costs bandwidth when a PDF is dropped.
+
+async function loadPdfjs() {
+  const pdfjs = await import("pdfjs-dist");
+  const { default: workerSrc } = await import("pdfjs-dist/build/pdf.worker.min.mjs?url");
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  return pdfjs;
+}
+
+function groupLines(items) {
+  // Top of the page first (PDF y grows upwards), then left to right
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x0 - b.x0);
+  const lines = [];
+  for (const it of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - it.y) <= Math.max(2, it.h * 0.4)) line.items.push(it);
+    else lines.push({ y: it.y, items: [it] });
+  }
+  return lines;
+}
+
+function splitCells(items) {
+  const cells = [];
+  for (const it of [...items].sort((a, b) => a.x0 - b.x0)) {
+    const last = cells[cells.length - 1];
+    const gap = last ? it.x0 - last.x1 : Infinity;
+    // Words of one phrase sit closer together than the gutter between columns
+    if (last && gap < Math.max(3, it.h * 0.6)) {
+      last.text += (gap > it.h * 0.15 ? " " : "") + it.text;
+      last.x1 = Math.max(last.x1, it.x1);
+    } else {
+      cells.push({ text: it.text, x0: it.x0, x1: it.x1 });
+    }
+  }
+  return cells
+    .map(c => ({ ...c, text: c.text.replace(/\s+/g, " ").trim() }))
+    .filter(c => c.text !== "");
+}
+
+/**
+ * Extract the text of a PDF as lines of positioned cells.
+ * Returns [{ page, cells: [{ text, x0, x1 }] }] in reading order.
+ */
+export async function readPDFLines(data) {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({ data }).promise;
+  const lines = [];
+
+  for (let p = 1; p <= doc.numPages; p++) {
+    const page = await doc.getPage(p);
+    const content = await page.getTextContent();
+    const items = content.items
+      .filter(it => it.str && it.str.trim() !== "")
+      .map(it => ({
+        text: it.str,
+        x0: it.transform[4],
+        x1: it.transform[4] + it.width,
+        y: it.transform[5],
+        h: it.height || Math.abs(it.transform[3]),
+      }));
+    for (const line of groupLines(items)) {
+      const cells = splitCells(line.items);
+      if (cells.length > 0) lines.push({ page: p, cells });
+    }
+  }
+
+  await doc.destroy();
+  return lines;
+}
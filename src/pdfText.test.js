@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from "vitest";
+import { readPDFLines } from "./pdfText.js";
+
+// Text items the way pdf.js reports them: transform[4]/[5] are x/y of the baseline,
+// y grows upwards from the bottom of the page
+const item = (str, x, y, width, height = 10) => ({ str, transform: [height, 0, 0, height, x, y], width, height });
+
+const pages = [
+  [
+    item("Balance", 300, 700, 40),
+    item("Date", 50, 700, 25),
+    item("Description", 120, 700, 55),
+    // A fragment a point off the baseline still belongs to the same line
+    item("-12,50", 300, 681, 30),
+    item("01.02.2025", 50, 680, 50),
+    item("Coffee", 120, 680, 32),
+    item("Shop", 154, 680, 22),
+    item("   ", 200, 680, 5),
+  ],
+  [
+    item("Tick", 120, 700, 20),
+    item("et", 140, 700, 10),
+    item("02.02.2025", 50, 700, 50),
+  ],
+];
+
+const destroy = vi.fn();
+
+vi.mock("pdfjs-dist", () => ({
+  GlobalWorkerOptions: {},
+  getDocument: () => ({
+    promise: Promise.resolve({
+      numPages: pages.length,
+      getPage: async p => ({ getTextContent: async () => ({ items: pages[p - 1] }) }),
+      destroy,
+    }),
+  }),
+}));
+vi.mock("pdfjs-dist/build/pdf.worker.min.mjs?url", () => ({ default: "pdf.worker.min.mjs" }));
+
+describe("readPDFLines", () => {
+  it("groups fragments into lines and columns in reading order", async () => {
+    const lines = await readPDFLines(new Uint8Array());
+    expect(lines).toEqual([
+      { page: 1, cells: [{ text: "Date", x0: 50, x1: 75 }, { text: "Description", x0: 120, x1: 175 }, { text: "Balance", x0: 300, x1: 340 }] },
+      { page: 1, cells: [{ text: "01.02.2025", x0: 50, x1: 100 }, { text: "Coffee Shop", x0: 120, x1: 176 }, { text: "-12,50", x0: 300, x1: 330 }] },
+      { page: 2, cells: [{ text: "02.02.2025", x0: 50, x1: 100 }, { text: "Ticket", x0: 120, x1: 150 }] },
+    ]);
+    expect(destroy).toHaveBeenCalled();
+  });
+});
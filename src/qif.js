@@ -0,0 +1,121 @@
+// QIF (Quicken Interchange Format) parser.
+// A QIF file is a series of sections opened by a "!Type:" line. Inside a section each
+// line starts with a one-letter field code and records end with "^". Only the
+// cash-style sections hold transactions; category/class lists, memorized payees,
+// account lists and investment registers are skipped.
+
+const TRANSACTION_TYPES = ["bank", "ccard", "cash", "oth a", "oth l"];
+
+export function looksLikeQIF(text) {
+  return /^\s*!(type|account|option)/i.test(text);
+}
+
+// QIF dates come as 1/15/2025, 01/15/25, 1/15'25 (Quicken's marker for 2000+),
+// " 1/ 5'25" or 2025-01-15. Most exports are month-first; a file is read day-first
+// only when one of its dates can't be month-first.
+function splitDate(val) {
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(val.trim());
+  if (iso) return { y: Number(iso[1]), a: Number(iso[2]), b: Number(iso[3]), iso: true };
+  const m = /^(\d{1,2})[/.-](\d{1,2})(?:[/.-]|')(\d{2,4})$/.exec(val.replace(/\s/g, ""));
+  if (!m) return null;
+  let y = Number(m[3]);
+  if (m[3].length === 2) y += val.includes("'") || y < 70 ? 2000 : 1900;
+  return { y, a: Number(m[1]), b: Number(m[2]), iso: false };
+}
+
+function toDate({ y, a, b, iso }, dayFirst) {
+  const [month, day] = iso || !dayFirst ? [a, b] : [b, a];
+  const d = new Date(y, month - 1, day);
+  // Reject overflow such as 31/02, which Date would roll into March
+  return d.getMonth() === month - 1 && d.getDate() === day ? d : null;
+}
+
+function parseQIFAmount(val) {
+  let s = val.replace(/[\s$]/g, "");
+  // 1.234,56 style decimal comma
+  if (/,\d{1,2}$/.test(s)) s = s.replace(/\./g, "").replace(",", ".");
+  return parseFloat(s.replace(/,/g, ""));
+}
+
+// Transfers are written as "[Account Name]" and carry no spending category
+function categoryName(val) {
+  return !val || /^\[.*\]$/.test(val.trim()) ? "" : val.trim();
+}
+
+/**
+ * Parse a QIF document.
+ * Returns { transactions: [{ date, description, amount, category }] } where category
+ * is the raw QIF category ("Food:Groceries"), or "" when the record had none.
+ * Split transactions become one row per split line so totals and categories stay correct.
+ */
+export function parseQIF(text) {
+  const records = [];
+  let inTransactions = false;
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    if (!line) continue;
+
+    if (line.startsWith("!")) {
+      const type = /^!type:(.*)$/i.exec(line);
+      if (type) inTransactions = TRANSACTION_TYPES.includes(type[1].trim().toLowerCase());
+      else if (/^!account/i.test(line)) inTransactions = false;
+      current = null;
+      continue;
+    }
+    if (!inTransactions) continue;
+
+    if (line.startsWith("^")) {
+      if (current) records.push(current);
+      current = null;
+      continue;
+    }
+
+    if (!current) current = { splits: [] };
+    const code = line[0];
+    const val = line.slice(1);
+    switch (code) {
+      case "D": current.date = val; break;
+      case "T": case "U": current.amount = parseQIFAmount(val); break;
+      case "P": current.payee = val.trim(); break;
+      case "M": current.memo = val.trim(); break;
+      case "L": current.category = categoryName(val); break;
+      case "S": current.splits.push({ category: categoryName(val) }); break;
+      case "E": if (current.splits.length) current.splits[current.splits.length - 1].memo = val.trim(); break;
+      case "$": if (current.splits.length) current.splits[current.splits.length - 1].amount = parseQIFAmount(val); break;
+      default: break;
+    }
+  }
+  if (current) records.push(current);
+
+  const dates = records.map(r => r.date ? splitDate(r.date) : null);
+  const dayFirst = dates.some(d => d && !d.iso && d.a > 12);
+
+  const transactions = [];
+  records.forEach((r, i) => {
+    const date = dates[i] && toDate(dates[i], dayFirst);
+    if (!date || r.amount === undefined || isNaN(r.amount)) return;
+    const description = r.payee || r.memo || "Unknown";
+
+    const splits = r.splits.filter(sp => sp.amount !== undefined && !isNaN(sp.amount));
+    if (splits.length === 0) {
+      transactions.push({ date, description, amount: r.amount, category: r.category || "" });
+      return;
+    }
+
+    splits.forEach(sp => {
+      transactions.push({
+        date,
+        description: sp.memo ? `${description} — ${sp.memo}` : description,
+        amount: sp.amount,
+        category: sp.category || r.category || "",
+      });
+    });
+    // Whatever the splits don't account for stays with the main category
+    const remainder = Math.round((r.amount - splits.reduce((s, sp) => s + sp.amount, 0)) * 100) / 100;
+    if (remainder !== 0) transactions.push({ date, description, amount: remainder, category: r.category || "" });
+  });
+
+  return { transactions };
+}
@@ -0,0 +1,44 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { looksLikeQIF, parseQIF } from "./qif.js";
+
+const fixture = name => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), "utf8");
+
+describe("looksLikeQIF", () => {
+  it("recognizes a QIF header line", () => {
+    expect(looksLikeQIF(fixture("checking.qif"))).toBe(true);
+    expect(looksLikeQIF("Date,Amount\n")).toBe(false);
+  });
+});
+
+describe("parseQIF", () => {
+  it("reads month-first dates, Quicken's 2000+ year marker and thousands separators", () => {
+    const [rent] = parseQIF(fixture("checking.qif")).transactions;
+    expect(rent).toEqual({ date: new Date(2025, 0, 15), description: "Landlord", amount: -1234.56, category: "Housing:Rent" });
+  });
+
+  it("turns split lines into one row each, keeping the remainder on the main category", () => {
+    const rows = parseQIF(fixture("checking.qif")).transactions.filter(t => t.description.startsWith("Supermarket"));
+    expect(rows).toEqual([
+      { date: new Date(2025, 1, 3), description: "Supermarket — Weekly shop", amount: -80, category: "Groceries" },
+      { date: new Date(2025, 1, 3), description: "Supermarket", amount: -25, category: "Household" },
+      { date: new Date(2025, 1, 3), description: "Supermarket", amount: -15, category: "Food" },
+    ]);
+  });
+
+  it("drops the category of transfers and falls back to the memo for the description", () => {
+    const transfer = parseQIF(fixture("checking.qif")).transactions.at(-1);
+    expect(transfer).toEqual({ date: new Date(2025, 1, 10), description: "Transfer from savings", amount: 500, category: "" });
+  });
+
+  it("skips non-transaction sections", () => {
+    expect(parseQIF(fixture("checking.qif")).transactions).toHaveLength(5);
+  });
+
+  it("reads day-first files with decimal commas and rejects impossible dates", () => {
+    expect(parseQIF(fixture("european.qif")).transactions).toEqual([
+      { date: new Date(2025, 0, 25), description: "Hotel Lisboa", amount: -1234.5, category: "Travel" },
+      { date: new Date(2025, 1, 3), description: "Café", amount: -12, category: "" },
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+// Transfer detection.
+// Money moved between the user's own accounts is neither income nor spending. Two
+// transactions pair up as a transfer when they sit in different datasets, have equal and
+// opposite amounts in the same currency and are booked within TRANSFER_WINDOW_DAYS of
+// each other. Transfer-like descriptions whose other side was never imported are only
+// suggested: bill payments read the same way, so the user decides. A link is { id, status }
+// where status stays "auto" until the user confirms it; unlinking sets notTransfer so
+// detection leaves the transaction alone from then on.
+
+export const TRANSFER_WINDOW_DAYS = 3;
+const TRANSFER_DESCRIPTION = /\b(transfer|xfer|trnsfr|tfr)\b|credit card payment|card payment|payment thank you|(to|from) (savings|checking|chequing)\b/i;
+
+export function looksLikeTransfer(description) {
+  return TRANSFER_DESCRIPTION.test(description || "");
+}
+
+/**
+ * Mark newly detected transfers across datasets. Returns the datasets; those without
+ * changes are returned as the same objects, so callers can tell which ones to save.
+ * Unconfirmed links with only one side (older versions linked on description alone)
+ * are cleared and matched again.
+ */
+export function linkTransfers(datasets) {
+  const sides = new Map();
+  for (const ds of datasets) for (const t of ds.transactions) {
+    if (t.transfer) sides.set(t.transfer.id, (sides.get(t.transfer.id) || 0) + 1);
+  }
+  const unpaired = t => t.transfer?.status === "auto" && sides.get(t.transfer.id) === 1;
+
+  const candidates = [];
+  datasets.forEach((ds, d) => ds.transactions.forEach((t, i) => {
+    const cents = Math.round(t.amount * 100);
+    if ((t.transfer && !unpaired(t)) || t.notTransfer || cents === 0) return;
+    candidates.push({ d, i, t, cents, key: `${Math.abs(cents)}:${t.currency || ds.currency || ""}` });
+  }));
+
+  const byAmount = new Map();
+  for (const c of candidates) {
+    if (!byAmount.has(c.key)) byAmount.set(c.key, []);
+    byAmount.get(c.key).push(c);
+  }
+
+  const links = new Map();
+  for (const group of byAmount.values()) {
+    const deposits = group.filter(c => c.cents > 0);
+    for (const out of group.filter(c => c.cents < 0)) {
+      // Closest deposit in time in another dataset wins
+      let best = null;
+      for (const dep of deposits) {
+        if (links.has(dep) || dep.d === out.d) continue;
+        const gap = Math.abs(dep.t.date - out.t.date) / 86400000;
+        if (gap <= TRANSFER_WINDOW_DAYS && (!best || gap < best.gap)) best = { dep, gap };
+      }
+      if (best) {
+        const id = crypto.randomUUID();
+        links.set(out, id);
+        links.set(best.dep, id);
+      }
+    }
+  }
+
+  return datasets.map((ds, d) => {
+    const mine = candidates.filter(c => c.d === d && (links.has(c) || c.t.transfer));
+    if (mine.length === 0) return ds;
+    const transactions = [...ds.transactions];
+    for (const c of mine) {
+      const { transfer: _stale, ...t } = c.t;
+      transactions[c.i] = links.has(c) ? { ...t, transfer: { id: links.get(c), status: "auto" } } : t;
+    }
+    return { ...ds, transactions };
+  });
+}
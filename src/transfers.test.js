@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { linkTransfers, looksLikeTransfer } from "./transfers.js";
+
+const tx = (day, amount, description = "", extra = {}) => ({ date: new Date(2025, 0, day), amount, description, ...extra });
+const dataset = (name, transactions, currency = "USD") => ({ name, currency, transactions });
+
+describe("looksLikeTransfer", () => {
+  it("matches transfer wording but not bill payments", () => {
+    expect(looksLikeTransfer("ONLINE TRANSFER TO SAVINGS")).toBe(true);
+    expect(looksLikeTransfer("Credit card payment - thank you")).toBe(true);
+    expect(looksLikeTransfer("COMCAST AUTOPAY")).toBe(false);
+    expect(looksLikeTransfer("Zelle payment to Jane")).toBe(false);
+    expect(looksLikeTransfer(undefined)).toBe(false);
+  });
+});
+
+describe("linkTransfers", () => {
+  it("pairs equal and opposite amounts across datasets", () => {
+    const [checking, savings] = linkTransfers([
+      dataset("Checking", [tx(10, -500, "To savings"), tx(11, -42)]),
+      dataset("Savings", [tx(12, 500, "From checking")]),
+    ]);
+    expect(checking.transactions[0].transfer).toEqual({ id: expect.any(String), status: "auto" });
+    expect(savings.transactions[0].transfer).toEqual(checking.transactions[0].transfer);
+    expect(checking.transactions[1].transfer).toBeUndefined();
+  });
+
+  it("leaves pairs inside one dataset, outside the window or in other currencies alone", () => {
+    const input = [
+      dataset("Checking", [tx(10, -500), tx(10, 500), tx(1, -80), tx(2, -60)]),
+      dataset("Savings", [tx(20, 80), tx(2, 60, "", { currency: "EUR" })]),
+    ];
+    const result = linkTransfers(input);
+    expect(result[0]).toBe(input[0]);
+    expect(result[1]).toBe(input[1]);
+  });
+
+  it("prefers the deposit closest in time", () => {
+    const [, savings] = linkTransfers([
+      dataset("Checking", [tx(10, -100)]),
+      dataset("Savings", [tx(7, 100), tx(11, 100)]),
+    ]);
+    expect(savings.transactions[0].transfer).toBeUndefined();
+    expect(savings.transactions[1].transfer).toBeDefined();
+  });
+
+  it("skips transactions the user unlinked and keeps confirmed links", () => {
+    const confirmed = { id: "kept", status: "confirmed" };
+    const input = [
+      dataset("Checking", [tx(10, -100, "", { notTransfer: true }), tx(15, -30, "", { transfer: confirmed })]),
+      dataset("Savings", [tx(10, 100), tx(15, 30, "", { transfer: confirmed })]),
+    ];
+    expect(linkTransfers(input)).toEqual(input);
+  });
+
+  it("clears unconfirmed links that lost their other side", () => {
+    const [checking] = linkTransfers([dataset("Checking", [tx(10, -75, "Transfer", { transfer: { id: "stale", status: "auto" } })])]);
+    expect(checking.transactions[0]).toEqual(tx(10, -75, "Transfer"));
+  });
+});
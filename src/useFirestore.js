@@ -3,16 +3,62 @@ import { doc, getDoc, setDoc, updateDoc } from "firebase/firestore";
 import { db } from "./firebase.js";
 
 // Each user gets a single document: users/{uid}
-// Fields: budgets, categoryOverrides, datasets[]
-// datasets stores named uploads: { name, uploadedAt, transactions[] }
+// Fields: budgetVersions[], budgetTemplates[], categoryOverrides, categoryRules[], categories[], mappingProfiles,
+// currencySettings, scheduledItems[], calendarSettings, forecastSettings, scenarios[], envelopeSettings, datasets[]
+// budgetVersions are the budgets in effect from a month on, oldest first: { from: "YYYY-MM" | "", budgets }
+// ("" is from the beginning), where budgets is keyed by category:
+// { amount, period: "weekly" | "monthly" | "annual", rollover, rolloverFrom? } and rolloverFrom is the
+// "YYYY-MM" leftovers carry forward from. Older saves kept a single `budgets` map of monthly amounts.
+// budgetTemplates are named sets of budgets to apply to a month: { id, name, budgets }
+// categories is the user's category list: { name, color, keys[], parent } (empty until first saved)
+// categoryRules are applied in order: { id, match, pattern, minAmount, maxAmount, sign, dataset, category }
+// mappingProfiles is keyed by header signature: { headers, mapping, target, savedAt }
+// currencySettings: { baseCurrency, exchangeRates: { [code]: value of 1 unit in base } }
+// scheduledItems are bills/income entered by hand: { id, date: "YYYY-MM-DD", description, amount, repeat }
+// calendarSettings: { startingBalance, threshold } — the calendar's balance today when no account
+// balance is known, and the low-balance warning level used across the app
+// forecastSettings: { method, horizon } — the Forecast tab's model and how many months it projects
+// scenarios are what-if plans over the forecast: { id, name, adjustments[] } where an adjustment is
+// { id, type: "once" | "recurring" | "category" | "income", label, month: "YYYY-MM" | "", amount, category, percent }
+// envelopeSettings: { enabled, allocations: { "YYYY-MM": { [category]: amount } } } — whether the Budget tab
+// works in zero-based envelopes instead of caps, and the income assigned to each envelope each month
+// datasets stores named uploads: { name, uploadedAt, currency?, balance?, transactions[], imports[] }
+// where balance anchors the account's running balance: { amount, date: "YYYY-MM-DD", kind }, kind
+// "opening" (before that day's transactions) or "closing" (after them)
+// transactions: { id, date, description, amount, category, fitId?, currency?, splits?, transfer?, notTransfer?, refundOf? }
+// where splits are [{ category, amount }] summing to amount and transfer is { id, status }
+// shared by both sides of a transfer between the user's accounts; refundOf is the
+// "<dataset>:<id>" of the charge a refund reverses
+// imports is the dataset's history: { fileName, importedAt, added, skipped, failed?, accountId? }
+
+export const DEFAULT_CURRENCY_SETTINGS = { baseCurrency: "USD", exchangeRates: {} };
+export const DEFAULT_CALENDAR_SETTINGS = { startingBalance: 0, threshold: 0 };
+export const DEFAULT_FORECAST_SETTINGS = { method: "average", horizon: 3 };
+export const DEFAULT_ENVELOPE_SETTINGS = { enabled: false, allocations: {} };
 
 function userRef(uid) {
   return doc(db, "users", uid);
 }
 
+function normalizeBudgets(budgets = {}) {
+  return Object.fromEntries(Object.entries(budgets).map(([name, b]) => [
+    name,
+    typeof b === "number" ? { amount: b, period: "monthly", rollover: false } : b,
+  ]));
+}
+
+// A single unversioned `budgets` map becomes one version covering all of history
+function loadBudgetVersions(data) {
+  if (data.budgetVersions) return data.budgetVersions;
+  const budgets = normalizeBudgets(data.budgets);
+  return Object.keys(budgets).length > 0 ? [{ from: "", budgets }] : [];
+}
+
 /**
  * Load the full user document from Firestore.
- * Returns { budgets, categoryOverrides, datasets } or defaults.
+ * Returns { budgetVersions, budgetTemplates, categoryOverrides, categoryRules, categories, mappingProfiles,
+ * currencySettings, scheduledItems, calendarSettings, forecastSettings, scenarios, envelopeSettings, datasets }
+ * or defaults.
  */
 export async function loadUserData(uid) {
   try {
@@ -20,10 +66,21 @@ export async function loadUserData(uid) {
     if (snap.exists()) {
       const data = snap.data();
       return {
-        budgets: data.budgets || {},
+        budgetVersions: loadBudgetVersions(data),
+        budgetTemplates: data.budgetTemplates || [],
         categoryOverrides: data.categoryOverrides || {},
+        categoryRules: data.categoryRules || [],
+        categories: data.categories || [],
+        mappingProfiles: data.mappingProfiles || {},
+        currencySettings: { ...DEFAULT_CURRENCY_SETTINGS, ...data.currencySettings },
+        scheduledItems: data.scheduledItems || [],
+        calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS, ...data.calendarSettings },
+        forecastSettings: { ...DEFAULT_FORECAST_SETTINGS, ...data.forecastSettings },
+        scenarios: data.scenarios || [],
+        envelopeSettings: { ...DEFAULT_ENVELOPE_SETTINGS, ...data.envelopeSettings },
         datasets: (data.datasets || []).map(ds => ({
           ...ds,
+          imports: ds.imports || [],
           transactions: (ds.transactions || []).map(t => ({
             ...t,
             date: t.date?.toDate ? t.date.toDate() : new Date(t.date),
@@ -34,20 +91,35 @@ export async function loadUserData(uid) {
   } catch (err) {
     console.error("Firestore load error:", err);
   }
-  return { budgets: {}, categoryOverrides: {}, datasets: [] };
+  return {
+    budgetVersions: [], budgetTemplates: [], categoryOverrides: {}, categoryRules: [], categories: [], mappingProfiles: {},
+    currencySettings: DEFAULT_CURRENCY_SETTINGS, scheduledItems: [], calendarSettings: DEFAULT_CALENDAR_SETTINGS,
+    forecastSettings: DEFAULT_FORECAST_SETTINGS, scenarios: [], envelopeSettings: DEFAULT_ENVELOPE_SETTINGS, datasets: [],
+  };
 }
 
 /**
- * Save budgets to Firestore.
+ * Save the budget versions to Firestore.
  */
-export async function saveBudgets(uid, budgets) {
+export async function saveBudgetVersions(uid, budgetVersions) {
   try {
-    await setDoc(userRef(uid), { budgets }, { merge: true });
+    await setDoc(userRef(uid), { budgetVersions }, { merge: true });
   } catch (err) {
     console.error("Firestore save budgets error:", err);
   }
 }
 
+/**
+ * Save budget templates to Firestore.
+ */
+export async function saveBudgetTemplates(uid, budgetTemplates) {
+  try {
+    await setDoc(userRef(uid), { budgetTemplates }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save budget templates error:", err);
+  }
+}
+
 /**
  * Save category overrides to Firestore.
  */
@@ -59,27 +131,149 @@ export async function saveCategoryOverrides(uid, categoryOverrides) {
   }
 }
 
+/**
+ * Save the ordered categorization rules to Firestore.
+ */
+export async function saveCategoryRules(uid, categoryRules) {
+  try {
+    await setDoc(userRef(uid), { categoryRules }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save rules error:", err);
+  }
+}
+
+/**
+ * Save the user's category list (names, colors, keyword keys) to Firestore.
+ */
+export async function saveCategories(uid, categories) {
+  try {
+    await setDoc(userRef(uid), { categories }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save categories error:", err);
+  }
+}
+
+// Serialize transactions (Firestore can't store Date objects directly in arrays well)
+function serializeTransactions(transactions) {
+  return transactions.map(t => ({
+    id: t.id,
+    date: t.date instanceof Date ? t.date.toISOString() : t.date,
+    description: t.description,
+    amount: t.amount,
+    category: t.category,
+    ...(t.fitId ? { fitId: t.fitId } : {}),
+    ...(t.currency ? { currency: t.currency } : {}),
+    ...(t.splits?.length ? { splits: t.splits } : {}),
+    ...(t.transfer ? { transfer: t.transfer } : {}),
+    ...(t.notTransfer ? { notTransfer: true } : {}),
+    ...(t.refundOf ? { refundOf: t.refundOf } : {}),
+  }));
+}
+
+/**
+ * Save column mapping profiles to Firestore.
+ */
+export async function saveMappingProfiles(uid, mappingProfiles) {
+  try {
+    await setDoc(userRef(uid), { mappingProfiles }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save mapping profiles error:", err);
+  }
+}
+
+/**
+ * Save the base currency and exchange-rate table to Firestore.
+ */
+export async function saveCurrencySettings(uid, currencySettings) {
+  try {
+    await setDoc(userRef(uid), { currencySettings }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save currency settings error:", err);
+  }
+}
+
+/**
+ * Save manually scheduled bills and income to Firestore.
+ */
+export async function saveScheduledItems(uid, scheduledItems) {
+  try {
+    await setDoc(userRef(uid), { scheduledItems }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save scheduled items error:", err);
+  }
+}
+
+/**
+ * Save the calendar's starting balance and low-balance threshold to Firestore.
+ */
+export async function saveCalendarSettings(uid, calendarSettings) {
+  try {
+    await setDoc(userRef(uid), { calendarSettings }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save calendar settings error:", err);
+  }
+}
+
+/**
+ * Save the forecast method and horizon to Firestore.
+ */
+export async function saveForecastSettings(uid, forecastSettings) {
+  try {
+    await setDoc(userRef(uid), { forecastSettings }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save forecast settings error:", err);
+  }
+}
+
+/**
+ * Save what-if forecast scenarios to Firestore.
+ */
+export async function saveScenarios(uid, scenarios) {
+  try {
+    await setDoc(userRef(uid), { scenarios }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save scenarios error:", err);
+  }
+}
+
+/**
+ * Save the envelope budgeting mode and monthly allocations to Firestore.
+ */
+export async function saveEnvelopeSettings(uid, envelopeSettings) {
+  try {
+    await setDoc(userRef(uid), { envelopeSettings }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save envelope settings error:", err);
+  }
+}
+
 /**
  * Save a dataset (named set of transactions) to Firestore.
  * Transactions are stored as plain objects with ISO date strings.
+ * An optional import record starts the dataset's import history, an optional
+ * currency is the default for transactions that don't carry their own, and an
+ * optional balance is the account balance the statement reported.
+ * Replacing a dataset of the same name keeps its import history and, unless a new
+ * balance is given, its balance.
  */
-export async function saveDataset(uid, datasetName, transactions) {
+export async function saveDataset(uid, datasetName, transactions, { importRecord, currency, balance } = {}) {
   try {
     const snap = await getDoc(userRef(uid));
     const existing = snap.exists() ? snap.data().datasets || [] : [];
-
-    // Serialize transactions (Firestore can't store Date objects directly in arrays well)
-    const serialized = transactions.map(t => ({
-      id: t.id,
-      date: t.date instanceof Date ? t.date.toISOString() : t.date,
-      description: t.description,
-      amount: t.amount,
-      category: t.category,
-    }));
+    const serialized = serializeTransactions(transactions);
 
     // Replace dataset with same name, or add new
     const idx = existing.findIndex(ds => ds.name === datasetName);
-    const dataset = { name: datasetName, uploadedAt: new Date().toISOString(), transactions: serialized };
+    const previous = idx >= 0 ? existing[idx] : null;
+    const kept = balance || previous?.balance;
+    const dataset = {
+      name: datasetName,
+      uploadedAt: new Date().toISOString(),
+      transactions: serialized,
+      imports: [...(previous?.imports || []), ...(importRecord ? [importRecord] : [])],
+      ...(currency ? { currency } : {}),
+      ...(kept ? { balance: kept } : {}),
+    };
 
     if (idx >= 0) {
       existing[idx] = dataset;
@@ -93,6 +287,68 @@ export async function saveDataset(uid, datasetName, transactions) {
   }
 }
 
+/**
+ * Append transactions to an existing dataset and record the import in its history.
+ * A balance from the imported statement replaces the dataset's stored one.
+ */
+export async function appendToDataset(uid, datasetName, transactions, importRecord, { balance } = {}) {
+  try {
+    const snap = await getDoc(userRef(uid));
+    const existing = snap.exists() ? snap.data().datasets || [] : [];
+    const datasets = existing.map(ds => ds.name !== datasetName ? ds : {
+      ...ds,
+      transactions: [...(ds.transactions || []), ...serializeTransactions(transactions)],
+      imports: [...(ds.imports || []), importRecord],
+      ...(balance ? { balance } : {}),
+    });
+    await setDoc(userRef(uid), { datasets }, { merge: true });
+  } catch (err) {
+    console.error("Firestore append dataset error:", err);
+  }
+}
+
+/**
+ * Replace a dataset's transactions, keeping its upload date and import history.
+ */
+export async function updateDatasetTransactions(uid, datasetName, transactions) {
+  return updateDatasetsTransactions(uid, { [datasetName]: transactions });
+}
+
+/**
+ * Replace the transactions of several datasets in one write, keyed by dataset name.
+ * (Separate read-modify-write calls would overwrite each other's changes.)
+ */
+export async function updateDatasetsTransactions(uid, transactionsByName) {
+  try {
+    const snap = await getDoc(userRef(uid));
+    const existing = snap.exists() ? snap.data().datasets || [] : [];
+    const datasets = existing.map(ds => transactionsByName[ds.name]
+      ? { ...ds, transactions: serializeTransactions(transactionsByName[ds.name]) }
+      : ds);
+    await setDoc(userRef(uid), { datasets }, { merge: true });
+  } catch (err) {
+    console.error("Firestore update dataset error:", err);
+  }
+}
+
+/**
+ * Set (or with null, clear) the account balance a dataset's running balance is anchored to.
+ */
+export async function saveDatasetBalance(uid, datasetName, balance) {
+  try {
+    const snap = await getDoc(userRef(uid));
+    const existing = snap.exists() ? snap.data().datasets || [] : [];
+    const datasets = existing.map(ds => {
+      if (ds.name !== datasetName) return ds;
+      const { balance: _, ...rest } = ds;
+      return balance ? { ...rest, balance } : rest;
+    });
+    await setDoc(userRef(uid), { datasets }, { merge: true });
+  } catch (err) {
+    console.error("Firestore save dataset balance error:", err);
+  }
+}
+
 /**
  * Delete a dataset by name.
  */